@@ -1,10 +1,23 @@
 /**
- * Hand Tracking AR - Tetris
+ * Hand Tracking AR - Tetris and the Spatial Shell, one at a time on the same canvas and hands
  */
 
-import { GestureRecognizer, FilesetResolver } from 
-    "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/vision_bundle.mjs";
-import { Tetris } from "./tetris.js";
+import { Tetris, GAME_STATES, INTERACTION_STATES, RELEASE_BEHAVIOURS } from "./tetris.js";
+import { SpatialShell, SHELL_ACTIONS } from "./spatial_shell.js";
+import { AppHost } from "./app_host.js";
+import { BACKEND_KINDS, BackendSync, createBackend } from "./fs_backends.js";
+import { loadSettings, saveSettings, SETTINGS_FIELDS, getCameraOptions } from "./settings.js";
+import { HandInput, MediaPipeSource, WorkerSource, PointerSource, ReplaySource, HAND_SIDES, toScreenX } from "./hand_input.js";
+import { SessionRecorder, parseSession } from "./session_recorder.js";
+import { 
+    CalibrationWizard, CALIBRATION_STEPS, DEFAULT_PROFILE, loadProfile, saveProfile, thresholdsFromProfile 
+} from "./calibration.js";
+import { PinchEstimator, PINCH_MIN_CONFIDENCE } from "./pinch.js";
+import { LandmarkFilter } from "./one_euro.js";
+import { GestureBindings } from "./gestures.js";
+import { DEFAULT_ASSET_CONFIG, resolveAssets, describeAssets, loadVisionBundle } from "./asset_resolver.js";
+import { Notifier, SEVERITY } from "./notifications.js";
+import { CameraManager } from "./camera.js";
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CONFIG & CONSTANTS
@@ -21,42 +34,125 @@ const COLORS = {
     zoneLine: 'rgba(0, 0, 0, 0.1)'
 };
 
-const PINCH_THRESHOLD = 0.08; // More forgiving pinch detection
+const PAUSE_GESTURE_HOLD = 800; // Both hands pinched on empty space for this long toggles pause
+const NO_HANDS_HINT = 10000; // ms of camera input without a hand before suggesting mouse mode
+
+// Piece sequence options - e.g. ?seed=duel42&randomizer=bag&preview=5 gives everyone the same pieces
+const urlParams = new URLSearchParams(window.location.search);
+const TETRIS_OPTIONS = {
+    generator: urlParams.get('randomizer') || 'bag',
+    seed: urlParams.get('seed'),
+    previewCount: parseInt(urlParams.get('preview'), 10) || 3
+};
+
+// Hand source - ?input=mouse plays without a camera
+const INPUT_MODE = urlParams.get('input') || 'camera';
+
+// Where the recognizer runs - ?inference=main keeps it on the main thread
+const INFERENCE_MODE = urlParams.get('inference') || 'worker';
+
+// Recognizer bundle, wasm and model - local copies first, then the CDN; ?assets=local|cdn allows only one
+const ASSET_CONFIG = { ...DEFAULT_ASSET_CONFIG, mode: urlParams.get('assets') || 'auto' };
+
+// getUserMedia failures -> status line and what the user is told
+const CAMERA_ERRORS = {
+    NotAllowedError: { status: 'Cam_Denied', message: 'Camera access was denied. Allow it in the browser, then retry.' },
+    NotFoundError: { status: 'Cam_Missing', message: 'No camera was found.' },
+    NotReadableError: { status: 'Cam_Busy', message: 'The camera is in use by another app.' },
+    OverconstrainedError: { status: 'Cam_Unsupported', message: 'This camera does not support the requested video mode.' },
+    PlaybackError: { status: 'Playback_Err', message: 'The camera video could not start.' }
+};
+const CAMERA_ERROR_DEFAULT = { status: 'Auth_Failed', message: 'The camera could not be started.' };
+
+const REPLAY_SPEEDS = [0.125, 0.25, 0.5, 1, 2, 4];
+
+// App shown first - ?app=shell opens the file manager
+const START_APP = urlParams.get('app') || 'tetris';
+
+// Where the shell's files come from - ?fs=memory|manifest|local|opfs|server, see fs_backends.js
+const FS_OPTIONS = {
+    kind: urlParams.get('fs') || BACKEND_KINDS.MEMORY,
+    manifest: urlParams.get('manifest') || './fs_manifest.json',
+    server: urlParams.get('fsServer') || 'http://localhost:8765',
+    token: urlParams.get('fsToken')
+};
+
+// Game keys only apply while Tetris is shown, shell keys while the shell is
+const TETRIS_KEYS = ['p', 'P', 'Escape', 'r', 'R', 'g', 'G', 'd', 'D', ' ', 'Enter'];
+const SHELL_KEYS = ['n', 'N'];
+
+// What the shell's grep pipe looks for - ?grep=timeout
+const GREP_PATTERN = urlParams.get('grep');
+
+// Landmark filter tuning on top of the game's defaults - e.g. ?minCutoff=0.8&beta=30
+const FILTER_OVERRIDES = {};
+['minCutoff', 'beta', 'dCutoff'].forEach(key => {
+    const value = parseFloat(urlParams.get(key));
+    if (!Number.isNaN(value)) FILTER_OVERRIDES[key] = value;
+});
+const FILTER_TRAIL_LENGTH = 60; // Frames of raw vs filtered index tip kept for the debug overlay
 
 // ═══════════════════════════════════════════════════════════════════════════
 // STATE
 // ═══════════════════════════════════════════════════════════════════════════
 
 let gestureRecognizer = null;
-let tetris = new Tetris();
+let inferenceWorker = null; // Set instead of gestureRecognizer when inference runs in inference_worker.js
+let assetStatus = null; // Where the recognizer assets came from, or why they couldn't load - shown in the HUD
+let tetris = new Tetris(TETRIS_OPTIONS);
+let shell = new SpatialShell();
+if (GREP_PATTERN) shell.grepPattern = GREP_PATTERN;
+let settings = loadSettings();
+tetris.applySettings(settings);
+
+// Hand-driven apps sharing the canvas and hand input - M, the menu or a held ILoveYou switches
+const appHost = new AppHost({ onSwitch: onAppSwitch })
+    .register('tetris', 'Tetris', tetris)
+    .register('shell', 'Spatial Shell', shell);
+
+let pinchProfile = loadProfile() || DEFAULT_PROFILE;
+let pinchThresholds = thresholdsFromProfile(pinchProfile);
+appHost.apps.forEach(app => app.setPinchThresholds(pinchThresholds));
 let video, canvas, ctx;
 let isRunning = false;
+let inputMode = INPUT_MODE; // Switches to 'mouse' when the camera or model is unavailable
+let camera = null; // CameraManager, owns the video stream
+let mirrored = true; // Whether the active source's image is shown mirrored, see applyMirroring()
+let handsHint = { lastSeen: 0, shown: false }; // Camera input without hands suggests mouse mode once
+let fsSync = null; // BackendSync writing the shell's changes through to its backend
 
+let handInput = new HandInput(null, {
+    pinchEstimator: new PinchEstimator(pinchProfile),
+    filter: new LandmarkFilter({ ...appHost.active.filterParams, ...FILTER_OVERRIDES })
+});
+let gestureBindings = new GestureBindings(appHost.gestureBindings);
+let showFilterDebug = false;
+let filterTrails = { left: [], right: [] }; // [{ raw, filtered }] per frame
 let hands = { left: null, right: null };
-let pinchDistances = { left: null, right: null };
 let lastPinchState = { left: false, right: false };
+let pauseGesture = { startTime: 0, armed: true };
+let lastGameState = null;
+let frameTime = 0; // Timestamp of the last processed hand frame - the game clock
+
+// Session recording / replay
+const recorder = new SessionRecorder();
+let replay = null; // { source, header, entries, ended }
+
+let calibration = null; // { wizard, resumeGame } while the wizard is open
+let settingsPanel = null; // { resumeGame } while the controls panel is open
 
 // HUD State
 let fps = 0;
 let lastTime = 0;
 let frameCount = 0;
 
-// System Log State
-let systemLogs = [];
-function addLog(msg) {
-    const timestamp = new Date().toLocaleTimeString('en-GB', { hour12: false });
-    systemLogs.push(`[${timestamp}] ${msg}`);
-    if (systemLogs.length > 8) systemLogs.shift();
+// System log - kept by the notifier, L shows it
+function addLog(msg, severity = SEVERITY.INFO) {
+    notifier.log(msg, severity);
     console.log(`[SYS] ${msg}`);
 }
 window.addLog = addLog;
 
-// Smoothing (Low-pass filter)
-let smoothedData = {
-    left: { dist: 0, pos: { x: 0, y: 0 } },
-    right: { dist: 0, pos: { x: 0, y: 0 } }
-};
-const LERP_FACTOR = 0.2;
 
 
 // UI Elements
@@ -64,9 +160,23 @@ const statusEl = document.getElementById('status');
 const startBtn = document.getElementById('start-btn');
 const distanceDisplay = document.getElementById('distance-display');
 const handDistanceEls = distanceDisplay.querySelectorAll('.hand-distance span');
+const calibrationEl = document.getElementById('calibration');
+const calibrationStepEl = document.getElementById('calibration-step');
+const calibrationProgressEl = document.getElementById('calibration-progress');
+const calibrationErrorEl = document.getElementById('calibration-error');
+const settingsPanelEl = document.getElementById('settings-panel');
+const settingsFormEl = document.getElementById('settings-form');
+const logPanelEl = document.getElementById('log-panel');
+const appMenuEl = document.getElementById('app-menu');
+
+const notifier = new Notifier({
+    statusEl,
+    toastsEl: document.getElementById('notifications'),
+    logPanelEl,
+    logListEl: document.getElementById('log-list')
+});
 
 // Hide legacy UI elements that aren't needed for the pure HUD
-statusEl.style.display = 'none';
 distanceDisplay.style.display = 'none';
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -75,46 +185,108 @@ distanceDisplay.style.display = 'none';
 
 async function init() {
     console.log('Initializing System...');
+    registerServiceWorker();
     try {
-        statusEl.textContent = 'System.Loading';
-
-        const vision = await FilesetResolver.forVisionTasks(
-            "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/wasm"
-        );
-        console.log('FilesetResolver loaded');
+        notifier.setStatus('System.Loading');
 
-        try {
-        gestureRecognizer = await GestureRecognizer.createFromOptions(vision, {
-            baseOptions: {
-                modelAssetPath: "https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task",
-                delegate: "GPU"
-            },
-            runningMode: "VIDEO",
-            numHands: 2
+        const assets = await resolveAssets(ASSET_CONFIG);
+        assetStatus = `ASSETS ${describeAssets(assets)}`;
+        addLog(assetStatus);
+        Object.entries(assets).forEach(([name, asset]) => {
+            asset.attempts.forEach(a => addLog(`ASSET_FALLBACK ${name}: ${a.source} ${a.reason}`, SEVERITY.WARNING));
         });
-        } catch (gpuError) {
-            console.warn('GPU acceleration failed, falling back to CPU', gpuError);
-            gestureRecognizer = await GestureRecognizer.createFromOptions(vision, {
-                baseOptions: {
-                    modelAssetPath: "https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task",
-                    delegate: "CPU"
-                },
-                runningMode: "VIDEO",
-                numHands: 2
-            });
+
+        if (INFERENCE_MODE === 'worker' && typeof OffscreenCanvas !== 'undefined') {
+            try {
+                inferenceWorker = await startInferenceWorker(assets);
+            } catch (workerError) {
+                // Older browsers can't run the recognizer in a worker - same model, on this thread
+                console.warn('Inference worker failed, running inference on the main thread', workerError);
+                addLog('WORKER_UNAVAILABLE: inference on main thread', SEVERITY.WARNING);
+            }
         }
-        console.log('GestureRecognizer created');
 
-        setupCanvas();
-        statusEl.textContent = 'System.Ready';
-        console.log('System Ready');
-        
-        startBtn.addEventListener('click', start);
+        if (!inferenceWorker) gestureRecognizer = await createRecognizer(assets);
+        notifier.setStatus('System.Ready');
 
     } catch (error) {
+        // Without the model the game is still playable with mouse or touch
         console.error('Init error:', error);
-        statusEl.textContent = 'System.Error';
+        notifier.setStatus('System.Error', SEVERITY.ERROR);
+        assetStatus = `MODEL_LOAD_FAILED ${error.message}`;
+        inputMode = 'mouse';
+        notifier.notify(`Hand tracking could not load (${error.message}). Mouse and touch still work.`, {
+            severity: SEVERITY.ERROR,
+            actions: [{ label: 'Reload', run: () => window.location.reload() }],
+            key: 'model'
+        });
     }
+    
+    setupCanvas();
+    camera = new CameraManager(video, { onLost: onCameraLost, onRecovered: onCameraRecovered });
+    setupControls();
+    setupFileSystem();
+    appHost.switchTo(START_APP, performance.now());
+    console.log('System Ready');
+    
+    startBtn.addEventListener('click', onStartButton);
+}
+
+// Precaches the app and recognizer assets so a reload works offline
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('./sw.js').catch(error => {
+        console.warn('Service worker not registered', error);
+        addLog('OFFLINE_CACHE_UNAVAILABLE', SEVERITY.WARNING);
+    });
+}
+
+// Main-thread recognizer - ?inference=main, or the worker couldn't start
+async function createRecognizer(assets) {
+    const { GestureRecognizer, FilesetResolver } = await loadVisionBundle(assets);
+    const vision = await FilesetResolver.forVisionTasks(assets.wasm.url);
+    console.log('FilesetResolver loaded');
+
+    const create = (delegate) => GestureRecognizer.createFromOptions(vision, {
+        baseOptions: {
+            modelAssetPath: assets.model.url,
+            delegate
+        },
+        runningMode: "VIDEO",
+        numHands: 2
+    });
+
+    let recognizer;
+    try {
+        recognizer = await create("GPU");
+    } catch (gpuError) {
+        console.warn('GPU acceleration failed, falling back to CPU', gpuError);
+        recognizer = await create("CPU");
+    }
+    console.log('GestureRecognizer created');
+    return recognizer;
+}
+
+// Resolves with the worker once its recognizer is loaded
+function startInferenceWorker(assets) {
+    const worker = new Worker(new URL('./inference_worker.js', import.meta.url), { type: 'module' });
+    return new Promise((resolve, reject) => {
+        const fail = (error) => {
+            worker.terminate();
+            reject(error);
+        };
+        worker.onerror = (event) => fail(new Error(event.message || 'Worker failed to load'));
+        worker.onmessage = ({ data }) => {
+            if (data.type === 'error') return fail(new Error(data.message));
+            if (data.type !== 'ready') return;
+            worker.onerror = null;
+            worker.onmessage = null;
+            console.log(`GestureRecognizer created in worker (${data.delegate})`);
+            addLog(`INFERENCE_WORKER: ${data.delegate}`);
+            resolve(worker);
+        };
+        worker.postMessage({ type: 'init', assets, numHands: 2 });
+    });
 }
 
 function setupCanvas() {
@@ -129,6 +301,345 @@ function setupCanvas() {
     previewLoop();
 }
 
+function setupControls() {
+    document.getElementById('calibration-skip').addEventListener('click', () => closeCalibration());
+    document.getElementById('settings-close').addEventListener('click', () => closeSettingsPanel());
+    document.getElementById('log-close').addEventListener('click', () => notifier.toggleLog(false));
+    buildSettingsPanel();
+    buildAppMenu();
+    
+    window.addEventListener('keydown', (e) => {
+        const now = performance.now();
+        
+        // The panel has focusable controls - only its own shortcut and Escape get through
+        if (settingsPanel) {
+            if (e.key === 's' || e.key === 'S' || e.key === 'Escape') {
+                e.preventDefault();
+                closeSettingsPanel();
+            }
+            return;
+        }
+        
+        if (calibration) {
+            if (e.key === 'c' || e.key === 'C' || e.key === 'Escape') {
+                e.preventDefault();
+                closeCalibration();
+            }
+            return;
+        }
+        
+        if (TETRIS_KEYS.includes(e.key) && appHost.active !== tetris) return;
+        if (SHELL_KEYS.includes(e.key) && appHost.active !== shell) return;
+        
+        switch (e.key) {
+            case 'p':
+            case 'P':
+            case 'Escape':
+                tetris.togglePause(now);
+                break;
+            case 'r':
+            case 'R':
+                tetris.restart(now);
+                break;
+            case 'g':
+            case 'G':
+                updateSetting('showGhost', !settings.showGhost);
+                break;
+            case 'd':
+            case 'D': {
+                // Cycle what releasing a play-zone grab does
+                const behaviours = Object.values(RELEASE_BEHAVIOURS);
+                const next = behaviours[(behaviours.indexOf(settings.releaseBehaviour) + 1) % behaviours.length];
+                updateSetting('releaseBehaviour', next);
+                break;
+            }
+            case 's':
+            case 'S':
+                openSettingsPanel(now);
+                break;
+            case 'c':
+            case 'C':
+                if (!isRunning || replay) return;
+                openCalibration(now);
+                break;
+            case 'f':
+            case 'F':
+                showFilterDebug = !showFilterDebug;
+                break;
+            case 'l':
+            case 'L':
+                notifier.toggleLog();
+                break;
+            case 'm':
+            case 'M':
+                appHost.switchToNext(now);
+                break;
+            case 'n':
+            case 'N':
+                shell.performAction(SHELL_ACTIONS.NEXT_PIPE, now);
+                break;
+            case 'k':
+            case 'K':
+                toggleRecording(now);
+                break;
+            case 'o':
+            case 'O':
+                openReplayFile();
+                break;
+            case '/':
+            case ',':
+            case '.':
+            case '[':
+            case ']':
+            case 'Backspace':
+                if (!replay) return;
+                handleReplayKey(e.key);
+                break;
+            case ' ':
+            case 'Enter':
+                if (tetris.gameState === GAME_STATES.READY) {
+                    tetris.start(now);
+                } else if (tetris.gameState === GAME_STATES.GAME_OVER) {
+                    tetris.restart(now);
+                } else {
+                    return;
+                }
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+        updateStartButton();
+    });
+}
+
+function updateSetting(key, value) {
+    settings[key] = value;
+    saveSettings(settings);
+    tetris.applySettings(settings);
+    renderSettingsPanel();
+    if (key.startsWith('camera')) applyCameraSetting(key);
+    addLog(`SETTING: ${key}=${value}`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// APP HOST
+// ═══════════════════════════════════════════════════════════════════════════
+
+function buildAppMenu() {
+    appHost.entries.forEach(({ id, label }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.dataset.app = id;
+        button.addEventListener('click', () => {
+            appHost.switchTo(id, performance.now());
+            button.blur(); // Keep Space / Enter for the game
+        });
+        appMenuEl.appendChild(button);
+    });
+    renderAppMenu();
+}
+
+function renderAppMenu() {
+    appMenuEl.querySelectorAll('button').forEach(button => {
+        button.classList.toggle('active', button.dataset.app === appHost.activeId);
+    });
+}
+
+// The new app brings its own gestures and filter tuning; hands start over from a clean state
+function onAppSwitch({ label, app }) {
+    gestureBindings.setBindings(appHost.gestureBindings);
+    handInput.filter.setParams({ ...app.filterParams, ...FILTER_OVERRIDES });
+    resetFrameState();
+    renderAppMenu();
+    updateStartButton();
+    addLog(`APP: ${label}`);
+}
+
+function setupFileSystem() {
+    if (FS_OPTIONS.kind === BACKEND_KINDS.LOCAL) {
+        // The folder picker only opens from a click
+        notifier.notify('Pick a folder for the Spatial Shell.', {
+            actions: [{ label: 'Open folder', run: () => mountFileSystem() }],
+            duration: 0,
+            key: 'fs'
+        });
+        return;
+    }
+    mountFileSystem();
+}
+
+// Loads the shell's files from the configured backend - the demo tree stays when that fails
+async function mountFileSystem() {
+    let backend;
+    try {
+        backend = await createBackend(FS_OPTIONS.kind, FS_OPTIONS);
+        shell.vfs.load(await backend.load());
+    } catch (error) {
+        console.error('File system error:', error);
+        notifier.notify(`Files could not be opened (${error.message}). The shell shows its demo files.`, {
+            severity: SEVERITY.WARNING,
+            actions: [{ label: 'Retry', run: () => mountFileSystem() }],
+            key: 'fs'
+        });
+        return;
+    }
+    
+    if (fsSync) fsSync.dispose();
+    fsSync = new BackendSync(shell.vfs, backend, { onError: onFileSystemError, onReload: () => shell.refresh() });
+    shell.reset();
+    notifier.dismiss('fs');
+    addLog(`FS_MOUNTED: ${backend.name}${backend.persistent ? '' : ' (changes stay in memory)'}`);
+}
+
+function onFileSystemError(error, op) {
+    notifier.notify(`Saving a ${op} to ${fsSync.backend.name} failed (${error.message}). Its files were reloaded.`, {
+        severity: SEVERITY.WARNING,
+        key: 'fs'
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SETTINGS PANEL
+// ═══════════════════════════════════════════════════════════════════════════
+
+function buildSettingsPanel() {
+    SETTINGS_FIELDS.forEach(field => {
+        const label = document.createElement('label');
+        label.className = 'settings-field';
+        label.textContent = field.label;
+        
+        let input;
+        if (field.type === 'boolean') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.addEventListener('change', () => updateSetting(field.key, input.checked));
+        } else {
+            input = document.createElement('select');
+            field.options.forEach(option => {
+                const el = document.createElement('option');
+                el.value = option;
+                el.textContent = option;
+                input.appendChild(el);
+            });
+            input.addEventListener('change', () => updateSetting(field.key, input.value));
+        }
+        input.name = field.key;
+        label.appendChild(input);
+        settingsFormEl.appendChild(label);
+    });
+    
+    // Cameras are only known at runtime - the list is filled whenever the panel opens
+    const cameraLabel = document.createElement('label');
+    cameraLabel.className = 'settings-field';
+    cameraLabel.textContent = 'Camera';
+    const cameraSelect = document.createElement('select');
+    cameraSelect.name = 'cameraDeviceId';
+    cameraSelect.addEventListener('change', () => updateSetting('cameraDeviceId', cameraSelect.value || null));
+    cameraLabel.appendChild(cameraSelect);
+    settingsFormEl.insertBefore(cameraLabel, settingsFormEl.elements.cameraResolution.parentElement);
+    
+    renderSettingsPanel();
+}
+
+async function renderCameraDevices() {
+    let cameras = [];
+    try {
+        cameras = await camera.listDevices();
+    } catch (error) {
+        console.warn('Camera list unavailable', error);
+    }
+    
+    const select = settingsFormEl.elements.cameraDeviceId;
+    const options = [{ value: '', label: 'default' }].concat(cameras.map((device, i) => ({
+        value: device.deviceId,
+        label: device.label || `camera ${i + 1}` // Labels stay empty until camera access is granted
+    })));
+    select.replaceChildren(...options.map(({ value, label }) => {
+        const el = document.createElement('option');
+        el.value = value;
+        el.textContent = label;
+        return el;
+    }));
+    select.value = settings.cameraDeviceId || '';
+}
+
+function renderSettingsPanel() {
+    SETTINGS_FIELDS.forEach(field => {
+        const input = settingsFormEl.elements[field.key];
+        if (!input) return;
+        if (field.type === 'boolean') {
+            input.checked = settings[field.key];
+        } else {
+            input.value = settings[field.key];
+        }
+    });
+}
+
+function openSettingsPanel(now) {
+    const resumeGame = tetris.gameState === GAME_STATES.PLAYING;
+    if (resumeGame) tetris.pause(now);
+    
+    settingsPanel = { resumeGame };
+    settingsPanelEl.hidden = false;
+    renderSettingsPanel();
+    renderCameraDevices();
+    updateStartButton();
+}
+
+function closeSettingsPanel() {
+    if (!settingsPanel) return;
+    if (settingsPanel.resumeGame) tetris.resume(performance.now());
+    settingsPanel = null;
+    settingsPanelEl.hidden = true;
+    // Leave focus on the page so game shortcuts work again
+    if (document.activeElement) document.activeElement.blur();
+    updateStartButton();
+}
+
+function onStartButton() {
+    // Before tracking the button initializes the camera, afterwards it drives the game lifecycle
+    if (!isRunning) {
+        start();
+        return;
+    }
+    
+    const now = performance.now();
+    if (tetris.gameState === GAME_STATES.PAUSED) {
+        tetris.resume(now);
+    } else if (tetris.gameState === GAME_STATES.GAME_OVER) {
+        tetris.restart(now);
+    } else if (tetris.gameState === GAME_STATES.READY) {
+        tetris.start(now);
+    }
+    updateStartButton();
+}
+
+function updateStartButton() {
+    lastGameState = tetris.gameState;
+    
+    if (!isRunning) {
+        startBtn.textContent = 'Initialize';
+        startBtn.classList.remove('active');
+        return;
+    }
+    
+    const labels = {
+        [GAME_STATES.READY]: 'Start',
+        [GAME_STATES.PAUSED]: 'Resume',
+        [GAME_STATES.GAME_OVER]: 'Restart'
+    };
+    
+    // Only Tetris has a game lifecycle to drive
+    if (appHost.active !== tetris || tetris.gameState === GAME_STATES.PLAYING || calibration || settingsPanel) {
+        startBtn.classList.add('active');
+    } else {
+        startBtn.textContent = labels[tetris.gameState];
+        startBtn.classList.remove('active');
+    }
+}
+
 function previewLoop() {
     if (isRunning) return; // Stop preview when tracking starts
     
@@ -136,13 +647,14 @@ function previewLoop() {
     const w = canvas.width;
     const h = canvas.height;
     
-    // Update tetris without hand input in preview mode
-    tetris.update(now, null, null, w, h);
+    // Update the active app without hand input in preview mode
+    appHost.update(now, null, w, h);
+    if (tetris.gameState !== lastGameState) updateStartButton();
     
     // Clear canvas to transparent (let background grid show through)
     ctx.clearRect(0, 0, w, h);
     
-    tetris.draw(ctx, w, h);
+    appHost.draw(ctx, w, h);
     drawSystemData(w, h);
     
     requestAnimationFrame(previewLoop);
@@ -159,44 +671,135 @@ function resize() {
 
 async function start() {
     console.log('Start sequence initiated');
+    if (inputMode === 'mouse') {
+        notifier.setStatus('Accessing_Core');
+        startTracking(new PointerSource(canvas));
+        return;
+    }
+    await startCamera();
+}
+
+// Opens the camera (the configured one unless open says otherwise) and tracks from it
+async function startCamera(open = () => camera.start(getCameraOptions(settings))) {
+    inputMode = 'camera';
+    notifier.setStatus('Accessing_Core');
     try {
-        statusEl.textContent = 'Accessing_Core';
-        
-        // Safari fix: Start video play before/during stream acquisition
-        video.setAttribute('playsinline', '');
-        video.setAttribute('muted', '');
-        video.muted = true;
-
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: { 
-                width: { ideal: 1280 }, 
-                height: { ideal: 720 }, 
-                facingMode: 'user' 
-            }
-        });
+        await open();
+    } catch (error) {
+        console.error('Camera error:', error);
+        fallBackToPointer(CAMERA_ERRORS[error.name] || CAMERA_ERROR_DEFAULT);
+        return;
+    }
+    console.log('Video playback started');
+    useCamera();
+}
 
-        video.srcObject = stream;
+function useCamera() {
+    inputMode = 'camera';
+    handInput.pinchEstimator.aspect = camera.aspect;
+    startTracking(createCameraSource());
+    notifier.dismiss('camera');
 
-        // Wait for video to be ready to play
-        video.onloadedmetadata = () => {
-            video.play()
-                .then(() => {
-                    console.log('Video playback started');
-        isRunning = true;
-        startBtn.classList.add('active');
-                    statusEl.textContent = 'Tracking.Active';
-        detect();
-                })
-                .catch(err => {
-                    console.error('Video play rejected:', err);
-                    statusEl.textContent = 'Playback_Err';
-                });
-        };
+    // Remember a camera picked with 'Switch camera' or found again after an unplug
+    if (settings.cameraDeviceId !== camera.options.deviceId) {
+        settings.cameraDeviceId = camera.options.deviceId;
+        saveSettings(settings);
+    }
 
-    } catch (error) {
-        console.error('Start error:', error);
-        statusEl.textContent = error.name === 'NotAllowedError' ? 'Cam_Denied' : 'Auth_Failed';
+    // First time in front of the camera - measure this user's pinch
+    if (!loadProfile() && !calibration) openCalibration(performance.now());
+}
+
+// No camera - keep the game playable with mouse or touch instead of stopping at the preview
+function fallBackToPointer({ status, message }) {
+    inputMode = 'mouse';
+    startTracking(new PointerSource(canvas));
+    notifier.setStatus(status, SEVERITY.WARNING);
+    notifier.notify(`${message} Playing with mouse or touch for now.`, {
+        severity: SEVERITY.ERROR,
+        actions: [
+            { label: 'Retry', run: retryCamera },
+            { label: 'Switch camera', run: switchCamera }
+        ],
+        key: 'camera'
+    });
+}
+
+function retryCamera() {
+    startCamera();
+}
+
+function switchCamera() {
+    startCamera(() => camera.switchToNext());
+}
+
+function useMouse() {
+    inputMode = 'mouse';
+    camera.stop();
+    startTracking(new PointerSource(canvas));
+}
+
+function onCameraLost() {
+    if (replay) {
+        notifier.notify('The camera was disconnected.', { severity: SEVERITY.WARNING, key: 'camera' });
+        return;
+    }
+    fallBackToPointer({ status: 'Cam_Lost', message: 'The camera was disconnected, it reconnects when plugged back in.' });
+}
+
+function onCameraRecovered() {
+    notifier.notify('Camera reconnected.', { key: 'camera' });
+    if (!replay) useCamera();
+}
+
+// Panel changes: mirroring applies right away, the rest reopens a running camera
+function applyCameraSetting(key) {
+    Object.assign(camera.options, getCameraOptions(settings));
+    if (key === 'cameraMirror') {
+        if (isCameraSource(handInput.source)) {
+            handInput.source.mirrored = camera.mirrored;
+            applyMirroring();
+        }
+        return;
     }
+    if (camera.isActive && !replay) startCamera();
+}
+
+// Screen mapping follows the source - front cameras and pointer input are mirrored, rear cameras aren't
+function applyMirroring() {
+    mirrored = handInput.mirrored;
+    appHost.apps.forEach(app => app.setMirrored(mirrored));
+    gestureBindings.setMirrored(mirrored);
+}
+
+function createCameraSource() {
+    const onResults = (results, timestamp) => recorder.record(timestamp, results);
+    const options = { onResults, mirrored: camera.mirrored };
+    return inferenceWorker
+        ? new WorkerSource(inferenceWorker, video, options)
+        : new MediaPipeSource(gestureRecognizer, video, options);
+}
+
+function isCameraSource(source) {
+    return source instanceof MediaPipeSource || source instanceof WorkerSource;
+}
+
+function startTracking(source) {
+    handInput.setSource(source);
+    // Pointer hands are synthesized square - the camera's aspect would stretch their pinch gap
+    if (source instanceof PointerSource) handInput.pinchEstimator.aspect = 1;
+    applyMirroring();
+    addLog(`INPUT_SOURCE: ${source.name}`);
+    notifier.setStatus('Tracking.Active');
+    handsHint = { lastSeen: performance.now(), shown: false };
+    
+    // Already tracking - the running detect loop picks up the new source
+    if (isRunning) return;
+    
+    isRunning = true;
+    if (appHost.active === tetris) tetris.start(performance.now());
+    updateStartButton();
+    detect();
 }
 
 function detect() {
@@ -212,59 +815,376 @@ function detect() {
         lastTime = now;
     }
 
-    const results = gestureRecognizer.recognizeForVideo(video, now);
-
-    // Reset hands state
-    hands = { left: null, right: null };
-    pinchDistances = { left: null, right: null };
-
-    if (results.landmarks && results.landmarks.length > 0) {
-        for (let i = 0; i < results.landmarks.length; i++) {
-            const landmarks = results.landmarks[i];
-            const handedness = results.handednesses[i][0].categoryName;
-            
-            const handKey = handedness === 'Right' ? 'left' : 'right';
-            hands[handKey] = { landmarks };
-            
-            const thumbTip = landmarks[4];
-            const indexTip = landmarks[8];
-            const dx = thumbTip.x - indexTip.x;
-            const dy = thumbTip.y - indexTip.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            pinchDistances[handKey] = dist;
-            
-            // Smoothing
-            smoothedData[handKey].dist += (dist - smoothedData[handKey].dist) * LERP_FACTOR;
-            
-            const midX = (thumbTip.x + indexTip.x) / 2;
-            const midY = (thumbTip.y + indexTip.y) / 2;
-            smoothedData[handKey].pos.x += (midX - smoothedData[handKey].pos.x) * LERP_FACTOR;
-            smoothedData[handKey].pos.y += (midY - smoothedData[handKey].pos.y) * LERP_FACTOR;
-            
-            // Check for state transitions
-            const isPinching = dist < PINCH_THRESHOLD;
-            if (isPinching !== lastPinchState[handKey]) {
-                lastPinchState[handKey] = isPinching;
-            }
-        }
+    let frame = handInput.poll(now);
+    while (handInput.isFresh) {
+        processFrame(frame);
+        // Live sources yield one frame per call, a fast replay can have several recorded frames due
+        if (!replay || handInput.source !== replay.source) break;
+        frame = handInput.poll(now);
+    }
+    
+    if (replay && replay.source.finished && !replay.ended) {
+        replay.ended = true;
+        addLog(`REPLAY_END: ${replay.entries.length} frames`);
     }
     
-    tetris.update(performance.now(), hands, pinchDistances, canvas.width, canvas.height);
     draw();
     
     requestAnimationFrame(detect);
 }
 
+// One hand frame -> game update; replays feed recorded frames through here as well
+function processFrame(frame) {
+    hands = frame.hands;
+    frameTime = frame.timestamp;
+    checkHandsInView();
+    
+    if (calibration) {
+        updateCalibration();
+        return;
+    }
+
+    HAND_SIDES.forEach(handKey => {
+        const hand = hands[handKey];
+        const trail = filterTrails[handKey];
+        if (!hand) {
+            trail.length = 0;
+            return;
+        }
+        
+        trail.push({ raw: hand.rawLandmarks[8], filtered: hand.landmarks[8] });
+        if (trail.length > FILTER_TRAIL_LENGTH) trail.shift();
+        
+        // Check for state transitions
+        const pinching = isPinching(hand);
+        if (pinching !== lastPinchState[handKey]) {
+            lastPinchState[handKey] = pinching;
+        }
+    });
+    
+    if (appHost.active === tetris) checkPauseGesture(frameTime);
+    handleGestures();
+    
+    appHost.update(frameTime, hands, canvas.width, canvas.height);
+    if (tetris.gameState !== lastGameState) updateStartButton();
+}
+
+// Camera running but nobody in view for a while - the camera may point elsewhere
+function checkHandsInView() {
+    if (!isCameraSource(handInput.source) || hands.left || hands.right) {
+        handsHint.lastSeen = frameTime;
+        return;
+    }
+    if (handsHint.shown || frameTime - handsHint.lastSeen < NO_HANDS_HINT) return;
+    
+    handsHint.shown = true;
+    notifier.notify('No hands detected. Make sure the camera can see your hands, or play with the mouse.', {
+        severity: SEVERITY.WARNING,
+        actions: [{ label: 'Use mouse', run: useMouse }],
+        key: 'no-hands'
+    });
+}
+
+function handleGestures() {
+    // A hand that is holding a piece or node is busy - its fist or flick shouldn't fire actions
+    const freeHands = {};
+    HAND_SIDES.forEach(side => {
+        const state = appHost.active.interactionState[side].state;
+        const busy = state === INTERACTION_STATES.GRABBING || state === INTERACTION_STATES.DRAGGING;
+        freeHands[side] = busy ? null : hands[side];
+    });
+    
+    gestureBindings.update(freeHands, frameTime).forEach(({ action, gesture }) => {
+        if (appHost.performAction(action, frameTime)) {
+            addLog(`GESTURE: ${gesture} -> ${action}`);
+            updateStartButton();
+        }
+    });
+}
+
+function isPinching(hand) {
+    return hand.pinch.ratio < pinchThresholds.grab && hand.pinch.confidence >= PINCH_MIN_CONFIDENCE;
+}
+
+function checkPauseGesture(now) {
+    // Both hands pinched while neither is holding or targeting a piece
+    const bothPinching = HAND_SIDES.every(side => 
+        hands[side] && isPinching(hands[side])
+    );
+    const bothFree = HAND_SIDES.every(side => 
+        tetris.interactionState[side].state === INTERACTION_STATES.IDLE
+    );
+    
+    if (!bothPinching || !bothFree) {
+        pauseGesture.startTime = 0;
+        // Re-arm only once the pinch is let go, so one long hold toggles once
+        if (!bothPinching) pauseGesture.armed = true;
+        return;
+    }
+    
+    if (!pauseGesture.armed) return;
+    if (!pauseGesture.startTime) pauseGesture.startTime = now;
+    
+    if (now - pauseGesture.startTime >= PAUSE_GESTURE_HOLD) {
+        pauseGesture.armed = false;
+        pauseGesture.startTime = 0;
+        
+        if (tetris.gameState === GAME_STATES.GAME_OVER) {
+            tetris.restart(now);
+        } else if (tetris.gameState === GAME_STATES.READY) {
+            tetris.start(now);
+        } else {
+            tetris.togglePause(now);
+        }
+        updateStartButton();
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CALIBRATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const CALIBRATION_PROMPTS = {
+    [CALIBRATION_STEPS.OPEN]: 'HOLD YOUR HAND OPEN, FINGERS SPREAD',
+    [CALIBRATION_STEPS.PINCH]: 'NOW PINCH THUMB AND INDEX TOGETHER'
+};
+
+function openCalibration(now) {
+    const resumeGame = tetris.gameState === GAME_STATES.PLAYING;
+    if (resumeGame) tetris.pause(now);
+    
+    calibration = { wizard: new CalibrationWizard(), resumeGame };
+    calibrationEl.hidden = false;
+    renderCalibration();
+    updateStartButton();
+    addLog('CALIBRATION_START');
+}
+
+function updateCalibration() {
+    const { wizard } = calibration;
+    wizard.update(hands, frameTime);
+    
+    if (wizard.isDone) {
+        saveProfile(wizard.profile);
+        pinchProfile = wizard.profile;
+        usePinchProfile(pinchProfile);
+        addLog(`CALIBRATED: GRAB<${pinchThresholds.grab.toFixed(2)} RELEASE>${pinchThresholds.release.toFixed(2)}`);
+        closeCalibration();
+        return;
+    }
+    renderCalibration();
+}
+
+// Game thresholds and the estimator's strength scale both follow the profile
+function usePinchProfile(profile) {
+    pinchThresholds = thresholdsFromProfile(profile);
+    appHost.apps.forEach(app => app.setPinchThresholds(pinchThresholds));
+    handInput.pinchEstimator.setProfile(profile);
+}
+
+function renderCalibration() {
+    const { wizard } = calibration;
+    calibrationStepEl.textContent = CALIBRATION_PROMPTS[wizard.step];
+    calibrationProgressEl.style.width = `${Math.round(wizard.progress * 100)}%`;
+    calibrationErrorEl.textContent = wizard.error || '';
+}
+
+// Done or skipped - skipping keeps the previous (or default) profile
+function closeCalibration() {
+    if (!calibration) return;
+    if (!calibration.wizard.isDone) addLog('CALIBRATION_SKIPPED');
+    
+    if (calibration.resumeGame) tetris.resume(performance.now());
+    calibration = null;
+    calibrationEl.hidden = true;
+    updateStartButton();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RECORD & REPLAY
+// ═══════════════════════════════════════════════════════════════════════════
+
+function toggleRecording(now) {
+    if (recorder.isRecording) {
+        const { entries } = recorder.stop();
+        recorder.download();
+        addLog(`REC_STOP: ${entries.length} frames saved`);
+        return;
+    }
+    
+    if (!isCameraSource(handInput.source)) {
+        addLog('REC: camera input required');
+        return;
+    }
+    if (appHost.active !== tetris) {
+        addLog('REC: Tetris sessions only');
+        return;
+    }
+    
+    // A fresh seeded game, so the replay deals the same pieces from the same start time
+    const seed = TETRIS_OPTIONS.seed || Date.now().toString(36);
+    tetris.setGenerator(TETRIS_OPTIONS.generator, seed);
+    tetris.start(now);
+    resetFrameState();
+    handInput.resetFilter();
+    
+    recorder.start({
+        seed,
+        generator: TETRIS_OPTIONS.generator,
+        previewCount: TETRIS_OPTIONS.previewCount,
+        startTime: now,
+        canvas: { width: canvas.width, height: canvas.height },
+        settings: { ...settings },
+        pinchProfile: { ...pinchProfile },
+        filterParams: { ...handInput.filter.params },
+        aspect: handInput.pinchEstimator.aspect,
+        mirrored
+    });
+    addLog(`REC_START: seed=${seed}`);
+}
+
+function openReplayFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.ndjson,.json';
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        if (!file) return;
+        try {
+            startReplay(parseSession(await file.text()));
+        } catch (error) {
+            console.error('Replay load error:', error);
+            notifier.notify(`Session file could not be loaded: ${error.message}`, { severity: SEVERITY.ERROR });
+        }
+    });
+    input.click();
+}
+
+function startReplay(session) {
+    if (session.entries.length === 0) {
+        addLog('REPLAY_ERR: no frames');
+        return;
+    }
+    if (recorder.isRecording) recorder.stop();
+    
+    // Sessions are Tetris games
+    appHost.switchTo('tetris', performance.now());
+    
+    const header = session.header || {};
+    const source = new ReplaySource(session.entries, { mirrored: header.mirrored !== false });
+    replay = { source, header, entries: session.entries, ended: false };
+    restartReplayGame();
+    startTracking(replay.source);
+    
+    const recorded = replay.header.canvas;
+    if (recorded && (recorded.width !== canvas.width || recorded.height !== canvas.height)) {
+        addLog(`REPLAY_WARN: recorded at ${recorded.width}x${recorded.height}, layout may differ`);
+    }
+    addLog(`REPLAY_START: ${session.entries.length} frames`);
+}
+
+// Same seed, settings and start time as the recording so each frame lands on the same game state
+function restartReplayGame() {
+    const { header, entries } = replay;
+    tetris.setGenerator(header.generator || TETRIS_OPTIONS.generator, header.seed ?? null);
+    tetris.applySettings(header.settings || settings);
+    usePinchProfile(header.pinchProfile || pinchProfile);
+    if (header.aspect) handInput.pinchEstimator.aspect = header.aspect;
+    if (header.filterParams) handInput.filter.setParams(header.filterParams);
+    handInput.resetFilter();
+    tetris.start(header.startTime ?? entries[0].timestamp);
+    resetFrameState();
+    replay.ended = false;
+}
+
+// The game can't run backwards, so stepping back replays from the start up to the target frame
+function seekReplay(index) {
+    const target = Math.max(0, Math.min(index, replay.entries.length));
+    replay.source.rewind();
+    restartReplayGame();
+    replay.source.step(target);
+    
+    const now = performance.now();
+    handInput.poll(now);
+    while (handInput.isFresh) {
+        processFrame(handInput.frame);
+        handInput.poll(now);
+    }
+}
+
+function handleReplayKey(key) {
+    const source = replay.source;
+    switch (key) {
+        case '/':
+            source.paused = !source.paused;
+            break;
+        case '.':
+            source.step(1);
+            break;
+        case ',':
+            seekReplay(source.index - 1);
+            break;
+        case '[':
+        case ']': {
+            const i = REPLAY_SPEEDS.indexOf(source.speed);
+            const next = i + (key === ']' ? 1 : -1);
+            source.speed = REPLAY_SPEEDS[Math.max(0, Math.min(next, REPLAY_SPEEDS.length - 1))];
+            addLog(`REPLAY_SPEED: x${source.speed}`);
+            break;
+        }
+        case 'Backspace':
+            stopReplay();
+            break;
+    }
+}
+
+function stopReplay() {
+    replay = null;
+    addLog('REPLAY_STOP');
+    
+    const now = performance.now();
+    tetris.setGenerator(TETRIS_OPTIONS.generator, TETRIS_OPTIONS.seed);
+    tetris.applySettings(settings);
+    usePinchProfile(pinchProfile);
+    handInput.filter.setParams({ ...appHost.active.filterParams, ...FILTER_OVERRIDES });
+    resetFrameState();
+    
+    // Back to whatever live input is available, otherwise to the preview screen
+    if (camera.isActive) {
+        startTracking(createCameraSource());
+    } else if (inputMode === 'mouse') {
+        startTracking(new PointerSource(canvas));
+    } else {
+        handInput.setSource(null);
+        hands = { left: null, right: null };
+        isRunning = false;
+        updateStartButton();
+        previewLoop();
+        return;
+    }
+    if (appHost.active === tetris) tetris.start(now);
+    updateStartButton();
+}
+
+function resetFrameState() {
+    pauseGesture = { startTime: 0, armed: true };
+    HAND_SIDES.forEach(side => {
+        lastPinchState[side] = false;
+        filterTrails[side] = [];
+    });
+    gestureBindings.reset();
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // RENDERING
 // ═══════════════════════════════════════════════════════════════════════════
 
 function updateHUD() {
-    const lDist = pinchDistances.left;
-    const rDist = pinchDistances.right;
+    const lHand = hands.left;
+    const rHand = hands.right;
     
-    handDistanceEls[0].textContent = lDist !== null ? (lDist * 100).toFixed(2) : '--';
-    handDistanceEls[1].textContent = rDist !== null ? (rDist * 100).toFixed(2) : '--';
+    handDistanceEls[0].textContent = lHand ? (lHand.pinch.strength * 100).toFixed(0) : '--';
+    handDistanceEls[1].textContent = rHand ? (rHand.pinch.strength * 100).toFixed(0) : '--';
 }
 
 function draw() {
@@ -274,10 +1194,11 @@ function draw() {
     // Clear canvas to transparent (let background grid show through)
     ctx.clearRect(0, 0, w, h);
     
-    // Tetris board (centered, on top of background)
-    tetris.draw(ctx, w, h);
+    // Active app (on top of background)
+    appHost.draw(ctx, w, h);
     
     drawSystemData(w, h);
+    if (showFilterDebug) drawFilterDebug(w, h);
 
     ['left', 'right'].forEach(handKey => {
         if (hands[handKey]) {
@@ -291,17 +1212,85 @@ function drawSystemData(w, h) {
     ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
     ctx.textAlign = 'left';
     ctx.fillText(`FPS:${fps} RES:${w}x${h}`, 30, h - 30);
+    
+    // Worker inference runs at its own rate - recognizer time, capture-to-result latency, results per second
+    const inference = handInput.source && handInput.source.stats;
+    if (inference) {
+        ctx.fillText(
+            `INFER:${Math.round(inference.inferenceTime)}ms LAT:${Math.round(inference.latency)}ms ${inference.rate}/s`,
+            160, h - 30
+        );
+    }
+
+    if (assetStatus) ctx.fillText(assetStatus, 30, h - 18);
+
+    if (appHost.active === tetris) {
+        const stats = tetris.stats;
+        ctx.fillStyle = COLORS.white;
+        ctx.fillText(`SCORE:${stats.score} LVL:${stats.level} LINES:${stats.lines}`, 30, h - 42);
+        ctx.fillStyle = COLORS.whiteDim;
+        ctx.fillText(`1x:${stats.single} 2x:${stats.double} 3x:${stats.triple} 4x:${stats.tetris}`, 30, h - 54);
+    } else if (appHost.active === shell && fsSync) {
+        // Writes still on their way to the backend
+        const { backend, pending } = fsSync;
+        const state = pending ? `SYNC ${pending}` : (backend.persistent ? 'SAVED' : 'MEMORY');
+        ctx.fillStyle = COLORS.white;
+        ctx.fillText(`FS:${backend.name} ${state}`, 30, h - 42);
+    }
+    
+    if (pauseGesture.startTime) {
+        const progress = Math.min((frameTime - pauseGesture.startTime) / PAUSE_GESTURE_HOLD, 1);
+        ctx.fillStyle = COLORS.accent;
+        ctx.fillText(`${tetris.gameState}_GESTURE: ${Math.round(progress * 100)}%`, 30, h - 66);
+    }
+    
+    ctx.fillStyle = COLORS.accent;
+    if (recorder.isRecording) {
+        ctx.fillText(`● REC ${recorder.entries.length} FRAMES`, 30, h - 78);
+    } else if (replay) {
+        const source = replay.source;
+        const status = source.finished ? 'END' : (source.paused ? 'PAUSED' : `x${source.speed}`);
+        ctx.fillText(`REPLAY ${source.index}/${replay.entries.length} ${status}  [ ] SPEED  , . STEP  / PLAY`, 30, h - 78);
+    }
+}
+
+// Raw vs filtered index-tip tracks - tune the filter until the solid line is calm at rest and keeps up on drags
+function drawFilterDebug(w, h) {
+    HAND_SIDES.forEach(side => {
+        const trail = filterTrails[side];
+        if (trail.length < 2) return;
+        
+        ['raw', 'filtered'].forEach(key => {
+            ctx.beginPath();
+            trail.forEach((sample, i) => {
+                const pos = getScreenPos(sample[key], w, h);
+                if (i === 0) ctx.moveTo(pos.x, pos.y);
+                else ctx.lineTo(pos.x, pos.y);
+            });
+            ctx.strokeStyle = key === 'raw' ? 'rgba(255, 0, 0, 0.5)' : COLORS.accent;
+            ctx.lineWidth = key === 'raw' ? 0.8 : 1.5;
+            ctx.setLineDash(key === 'raw' ? [2, 2] : []);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+    });
+    
+    const { minCutoff, beta, dCutoff } = handInput.filter.params;
+    ctx.font = '8px "JetBrains Mono"';
+    ctx.fillStyle = COLORS.accent;
+    ctx.textAlign = 'left';
+    ctx.fillText(`FILTER: MIN_CUTOFF:${minCutoff} BETA:${beta} D_CUTOFF:${dCutoff}  RAW=DASHED`, 30, h - 90);
 }
 
 function drawHandVisuals(handKey, w, h) {
     const landmarks = hands[handKey].landmarks;
-    const rawDist = pinchDistances[handKey];
-    const isPinching = rawDist < PINCH_THRESHOLD;
+    const pinch = hands[handKey].pinch;
+    const pinching = isPinching(hands[handKey]);
     
-    // Get interaction state from tetris
-    const interaction = tetris.interactionState[handKey];
-    const grabbedColor = tetris.getGrabbedPieceColor(handKey);
-    const handColor = grabbedColor || (isPinching ? COLORS.accent : COLORS.white);
+    // Interaction state and overlay details from the active app
+    const interaction = appHost.active.interactionState[handKey];
+    const { target, color: grabbedColor, action, hint } = appHost.active.describeHand(handKey);
+    const handColor = grabbedColor || (pinching ? COLORS.accent : COLORS.white);
     
     const thumb = getScreenPos(landmarks[4], w, h);
     const index = getScreenPos(landmarks[8], w, h);
@@ -319,23 +1308,23 @@ function drawHandVisuals(handKey, w, h) {
     ctx.lineWidth = 1;
     ctx.stroke();
 
-    // Targeting/Grabbing Line to target piece
-    if (interaction.target) {
-        const targetX = interaction.target.screenX;
-        const targetY = interaction.target.screenY;
+    // Targeting/Grabbing Line to target piece or node
+    if (target) {
+        const targetX = target.x;
+        const targetY = target.y;
         
         ctx.beginPath();
         ctx.moveTo(midX, midY);
         ctx.lineTo(targetX, targetY);
-        ctx.strokeStyle = grabbedColor || (isPinching ? COLORS.accent : 'rgba(0, 0, 0, 0.5)');
-        ctx.lineWidth = isPinching ? 1.5 : 0.8;
+        ctx.strokeStyle = grabbedColor || (pinching ? COLORS.accent : 'rgba(0, 0, 0, 0.5)');
+        ctx.lineWidth = pinching ? 1.5 : 0.8;
         ctx.setLineDash([3, 3]);
         ctx.stroke();
         ctx.setLineDash([]);
         
         // Visual proximity indicator (circle around target when targeting)
         if (interaction.state === 'TARGETING') {
-            ctx.strokeStyle = interaction.target.color || 'rgba(0, 0, 0, 0.3)';
+            ctx.strokeStyle = target.color || 'rgba(0, 0, 0, 0.3)';
             ctx.lineWidth = 1.5;
             ctx.beginPath();
             ctx.arc(targetX, targetY, 20, 0, Math.PI * 2);
@@ -348,14 +1337,14 @@ function drawHandVisuals(handKey, w, h) {
     ctx.moveTo(thumb.x, thumb.y);
     ctx.lineTo(index.x, index.y);
     ctx.strokeStyle = handColor;
-    ctx.lineWidth = isPinching ? 2 : 0.8;
-    ctx.setLineDash(isPinching ? [] : [3, 3]);
+    ctx.lineWidth = 0.8 + pinch.strength * 1.2;
+    ctx.setLineDash(pinching ? [] : [3, 3]);
     ctx.stroke();
     ctx.setLineDash([]);
 
     // Draw Landmarks
     [thumb, index].forEach((pos) => {
-        const size = isPinching ? 6 : 4;
+        const size = pinching ? 6 : 4;
         ctx.fillStyle = handColor;
         ctx.fillRect(pos.x - size/2, pos.y - size/2, size, size);
         
@@ -375,38 +1364,26 @@ function drawHandVisuals(handKey, w, h) {
     ctx.fillStyle = handColor;
     ctx.textAlign = 'left';
     ctx.fillText(`${handKey.toUpperCase()}_STATE: ${interaction.state}`, midX + 25, midY - 5);
+    ctx.font = '7px "JetBrains Mono"';
+    ctx.fillStyle = pinch.confidence < PINCH_MIN_CONFIDENCE ? COLORS.whiteDim : handColor;
+    ctx.fillText(`PINCH:${Math.round(pinch.strength * 100)}% CONF:${pinch.confidence.toFixed(2)}`, midX + 25, midY - 16);
     
-    if (interaction.state === 'DRAGGING' || interaction.state === 'GRABBING') {
+    // What the grab is doing, e.g. a role, a drop target or a control hint
+    if (action) {
         ctx.font = 'bold 8px "Orbitron"';
         ctx.fillStyle = handColor;
-        
-        if (interaction.isPlayZoneGrab) {
-            // Check if two-handed mode
-            const otherSide = handKey === 'left' ? 'right' : 'left';
-            const otherInteraction = tetris.interactionState[otherSide];
-            const isTwoHanded = otherInteraction.isPlayZoneGrab && 
-                               otherInteraction.state === 'DRAGGING';
-            
-            if (isTwoHanded) {
-                // Two-handed mode - show role
-                ctx.fillText(handKey === 'left' ? 'MOVE ← →' : 'ROTATE ↻', midX + 25, midY + 10);
-            } else {
-                // Single-handed mode
-                ctx.fillText('CONTROL_ACTIVE', midX + 25, midY + 10);
-                ctx.font = '7px "JetBrains Mono"';
-                ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-                ctx.fillText('CIRCLE=ROTATE  DRAG=MOVE', midX + 25, midY + 22);
-            }
-        } else {
-            // Spawn zone or hold - can drag freely
-            ctx.fillText(interaction.state === 'DRAGGING' ? 'MOVING_TO_HOLD' : 'LOCK_ACQUIRED', midX + 25, midY + 10);
-        }
+        ctx.fillText(action, midX + 25, midY + 10);
+    }
+    if (hint) {
+        ctx.font = '7px "JetBrains Mono"';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillText(hint, midX + 25, midY + (action ? 22 : 10));
     }
 }
 
 function getScreenPos(landmark, w, h) {
     return {
-        x: (1 - landmark.x) * w, // Mirrored
+        x: toScreenX(landmark.x, w, mirrored),
         y: landmark.y * h
     };
 }
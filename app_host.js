@@ -0,0 +1,85 @@
+/**
+ * App Host - runs one of several hand-driven apps on the shared canvas and hand input
+ * Every app has the same surface:
+ *   update(currentTime, hands, w, h)    hands is null while there is no input (preview)
+ *   draw(ctx, w, h)
+ *   interactionState { left, right }    per-hand { state, target } with the INTERACTION_STATES names
+ *   describeHand(side)                  -> { target: { x, y, color } | null, color, action, hint } for the hand overlay
+ *   performAction(action, currentTime)  -> whether anything happened
+ *   gestureBindings, filterParams, setPinchThresholds(thresholds), setMirrored(mirrored)
+ * and optionally activate(currentTime) / deactivate(currentTime), called when switched to and away from.
+ */
+
+import { GESTURES } from './gestures.js';
+
+export const HOST_ACTIONS = {
+    SWITCH_APP: 'switchApp'
+};
+
+// Bound next to the active app's gestures - no app uses this one
+export const HOST_GESTURE_BINDINGS = [
+    { gesture: GESTURES.I_LOVE_YOU, action: HOST_ACTIONS.SWITCH_APP, holdTime: 1000 }
+];
+
+export class AppHost {
+    constructor({ onSwitch = null } = {}) {
+        this.onSwitch = onSwitch; // (entry) after the active app changed
+        this.entries = []; // { id, label, app }
+        this.activeId = null;
+    }
+
+    // The first app registered starts active
+    register(id, label, app) {
+        this.entries.push({ id, label, app });
+        if (!this.activeId) this.activeId = id;
+        return this;
+    }
+
+    get entry() {
+        return this.entries.find(entry => entry.id === this.activeId);
+    }
+
+    get active() {
+        return this.entry.app;
+    }
+
+    get apps() {
+        return this.entries.map(entry => entry.app);
+    }
+
+    get gestureBindings() {
+        return [...HOST_GESTURE_BINDINGS, ...this.active.gestureBindings];
+    }
+
+    switchTo(id, currentTime) {
+        const next = this.entries.find(entry => entry.id === id);
+        if (!next || id === this.activeId) return false;
+
+        const previous = this.active;
+        if (previous.deactivate) previous.deactivate(currentTime);
+        this.activeId = id;
+        if (next.app.activate) next.app.activate(currentTime);
+
+        if (this.onSwitch) this.onSwitch(next);
+        return true;
+    }
+
+    switchToNext(currentTime) {
+        const i = this.entries.indexOf(this.entry);
+        return this.switchTo(this.entries[(i + 1) % this.entries.length].id, currentTime);
+    }
+
+    update(currentTime, hands, w, h) {
+        this.active.update(currentTime, hands, w, h);
+    }
+
+    draw(ctx, w, h) {
+        this.active.draw(ctx, w, h);
+    }
+
+    // Host actions first, everything else goes to the active app
+    performAction(action, currentTime) {
+        if (action === HOST_ACTIONS.SWITCH_APP) return this.switchToNext(currentTime);
+        return this.active.performAction(action, currentTime);
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * Asset Resolver - where the recognizer's bundle, wasm and model are loaded from
+ * Every asset is tried from its local path first (vendored next to the app, precached by sw.js),
+ * then from the CDN. No DOM use, so inference_worker.js loads the bundle through here as well.
+ */
+
+const TASKS_VISION = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14';
+
+// Which sources each mode tries, in order
+const ASSET_MODES = {
+    auto: ['local', 'cdn'],
+    local: ['local'],
+    cdn: ['cdn']
+};
+
+export const ASSET_NAMES = ['bundle', 'wasm', 'model'];
+
+// probe: file checked for directory assets
+export const DEFAULT_ASSET_CONFIG = {
+    mode: 'auto',
+    bundle: {
+        local: './vendor/tasks-vision/vision_bundle.mjs',
+        cdn: `${TASKS_VISION}/vision_bundle.mjs`
+    },
+    wasm: {
+        local: './vendor/tasks-vision/wasm',
+        cdn: `${TASKS_VISION}/wasm`,
+        probe: 'vision_wasm_internal.js'
+    },
+    model: {
+        local: './models/gesture_recognizer.task',
+        cdn: 'https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task'
+    }
+};
+
+// Carries every source that was tried and why it failed: [{ source, url, reason }]
+export class AssetError extends Error {
+    constructor(asset, attempts) {
+        super(`${asset}: ${attempts.map(a => `${a.source} ${a.reason}`).join(', ')}`);
+        this.name = 'AssetError';
+        this.asset = asset;
+        this.attempts = attempts;
+    }
+}
+
+// Local files have to exist; for the CDN reaching it is enough - its headers stay opaque without CORS
+async function probe(url, source) {
+    let response;
+    try {
+        response = await fetch(url, { method: 'HEAD', mode: source === 'cdn' ? 'no-cors' : 'cors' });
+    } catch (error) {
+        throw new Error('unreachable');
+    }
+    if (response.type !== 'opaque' && !response.ok) throw new Error(`HTTP ${response.status}`);
+}
+
+async function resolveAsset(name, entry, sources) {
+    const attempts = [];
+    for (const source of sources) {
+        // Absolute, so the worker gets the same URLs the page resolved
+        const url = new URL(entry[source], self.location.href).href;
+        try {
+            await probe(entry.probe ? `${url}/${entry.probe}` : url, source);
+            return { url, source, attempts };
+        } catch (error) {
+            attempts.push({ source, url, reason: error.message });
+        }
+    }
+    throw new AssetError(name, attempts);
+}
+
+// -> { bundle: { url, source, attempts }, wasm: ..., model: ... }; throws AssetError when an asset has no source
+export async function resolveAssets(config = DEFAULT_ASSET_CONFIG) {
+    const sources = ASSET_MODES[config.mode] || ASSET_MODES.auto;
+    const assets = {};
+    for (const name of ASSET_NAMES) {
+        assets[name] = await resolveAsset(name, config[name], sources);
+    }
+    return assets;
+}
+
+// e.g. 'BUNDLE:local WASM:local MODEL:cdn'
+export function describeAssets(assets) {
+    return ASSET_NAMES.map(name => `${name.toUpperCase()}:${assets[name].source}`).join(' ');
+}
+
+export function loadVisionBundle(assets) {
+    return import(assets.bundle.url);
+}
@@ -0,0 +1,131 @@
+/**
+ * Pinch Calibration - per-user open/pinched measurements and the grab/release thresholds derived from them
+ * Distances are pinch ratios from pinch.js (3D thumb-index gap / palm size), so they don't change with camera distance.
+ */
+
+const STORAGE_KEY = 'hand-tracking-ar.calibration';
+const PROFILE_VERSION = 2; // Bumped whenever the pinch metric changes - older profiles are measured again
+
+// Thresholds sit between the user's pinched and open ratios - grab closer to pinched, release further out
+const GRAB_FRACTION = 0.3;
+const RELEASE_FRACTION = 0.5;
+
+const STEP_DURATION = 1500; // ms of hand samples needed per step
+const MIN_SEPARATION = 0.6; // Pinched ratio must be below this share of the open ratio
+const MIN_OPEN_RATIO = 0.7; // An open hand spans at least this much - less means the fingers weren't spread
+
+// Typical adult hand at arm's length - used until the user calibrates
+export const DEFAULT_PROFILE = {
+    openRatio: 1.4,
+    pinchedRatio: 0.25,
+    calibratedAt: null
+};
+
+export function thresholdsFromProfile(profile) {
+    const range = profile.openRatio - profile.pinchedRatio;
+    return {
+        grab: profile.pinchedRatio + range * GRAB_FRACTION,
+        release: profile.pinchedRatio + range * RELEASE_FRACTION
+    };
+}
+
+export const DEFAULT_PINCH_THRESHOLDS = thresholdsFromProfile(DEFAULT_PROFILE);
+
+export function loadProfile() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return stored && stored.version === PROFILE_VERSION ? { ...DEFAULT_PROFILE, ...stored } : null;
+    } catch (error) {
+        console.warn('Calibration unreadable, using defaults', error);
+        return null;
+    }
+}
+
+export function saveProfile(profile) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+    } catch (error) {
+        console.warn('Calibration not saved', error);
+    }
+}
+
+export const CALIBRATION_STEPS = {
+    OPEN: 'OPEN',
+    PINCH: 'PINCH',
+    DONE: 'DONE'
+};
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Walks the user through holding an open hand, then a pinch; feed it hand frames with update()
+export class CalibrationWizard {
+    constructor() {
+        this.step = CALIBRATION_STEPS.OPEN;
+        this.samples = { [CALIBRATION_STEPS.OPEN]: [], [CALIBRATION_STEPS.PINCH]: [] };
+        this.collected = 0; // ms of samples in the current step
+        this.lastTime = null;
+        this.error = null;
+        this.profile = null;
+    }
+
+    get isDone() {
+        return this.step === CALIBRATION_STEPS.DONE;
+    }
+
+    get progress() {
+        return Math.min(this.collected / STEP_DURATION, 1);
+    }
+
+    update(hands, now) {
+        if (this.isDone) return;
+
+        const visible = [hands.left, hands.right].filter(Boolean);
+        const dt = this.lastTime === null ? 0 : now - this.lastTime;
+        this.lastTime = now;
+
+        // Progress only counts while a hand is in view
+        if (visible.length === 0) return;
+        visible.forEach(hand => this.samples[this.step].push(hand.pinch.ratio));
+        this.collected += dt;
+
+        if (this.collected >= STEP_DURATION) this.finishStep();
+    }
+
+    finishStep() {
+        this.collected = 0;
+
+        if (this.step === CALIBRATION_STEPS.OPEN) {
+            this.step = CALIBRATION_STEPS.PINCH;
+            return;
+        }
+
+        const openRatio = median(this.samples[CALIBRATION_STEPS.OPEN]);
+        const pinchedRatio = median(this.samples[CALIBRATION_STEPS.PINCH]);
+
+        // Start over from whichever measurement was off - a bad open span can't be fixed by pinching again
+        if (openRatio < MIN_OPEN_RATIO) {
+            this.error = 'HAND NOT OPEN - SPREAD YOUR FINGERS';
+            this.restartFrom(CALIBRATION_STEPS.OPEN);
+            return;
+        }
+        if (pinchedRatio > openRatio * MIN_SEPARATION) {
+            this.error = 'PINCH NOT DETECTED - TOUCH THUMB AND INDEX';
+            this.restartFrom(CALIBRATION_STEPS.PINCH);
+            return;
+        }
+
+        this.error = null;
+        this.profile = { version: PROFILE_VERSION, openRatio, pinchedRatio, calibratedAt: new Date().toISOString() };
+        this.step = CALIBRATION_STEPS.DONE;
+    }
+
+    // Measures step and everything after it again
+    restartFrom(step) {
+        this.step = step;
+        if (step === CALIBRATION_STEPS.OPEN) this.samples[CALIBRATION_STEPS.OPEN] = [];
+        this.samples[CALIBRATION_STEPS.PINCH] = [];
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * Camera Manager - owns the <video> stream: device choice, resolution / frame rate, mirroring, recovery
+ * Front cameras are shown mirrored like a mirror, rear ones the way they see; MIRROR_MODES overrides that.
+ * When the track ends (unplugged, taken by another app) onLost fires, and the camera is reopened on
+ * the next device change - the same device if it came back, otherwise the default one - then onRecovered.
+ */
+
+export const RESOLUTIONS = {
+    '480p': { width: 640, height: 480 },
+    '720p': { width: 1280, height: 720 },
+    '1080p': { width: 1920, height: 1080 }
+};
+
+export const FRAME_RATES = ['15', '30', '60'];
+
+export const MIRROR_MODES = {
+    AUTO: 'auto', // Mirror unless the camera faces away from the user
+    ON: 'on',
+    OFF: 'off'
+};
+
+export const DEFAULT_CAMERA_OPTIONS = {
+    deviceId: null, // null = the browser's default (front camera where there is one)
+    resolution: '720p',
+    frameRate: '30',
+    mirror: MIRROR_MODES.AUTO
+};
+
+export class CameraManager {
+    constructor(video, { onLost = null, onRecovered = null } = {}) {
+        this.video = video;
+        this.onLost = onLost;
+        this.onRecovered = onRecovered;
+        this.options = { ...DEFAULT_CAMERA_OPTIONS };
+        this.stream = null;
+        this.track = null;
+        this.isLost = false;
+
+        this.onTrackEnded = () => {
+            this.stop();
+            this.isLost = true;
+            if (this.onLost) this.onLost();
+        };
+        this.onDeviceChange = () => {
+            if (this.isLost) this.recover();
+        };
+        // Missing outside secure contexts - start() then fails like a denied camera would
+        if (navigator.mediaDevices) navigator.mediaDevices.addEventListener('devicechange', this.onDeviceChange);
+    }
+
+    get isActive() {
+        return !!this.track && this.track.readyState === 'live';
+    }
+
+    get settings() {
+        return this.track ? this.track.getSettings() : {};
+    }
+
+    get deviceId() {
+        return this.settings.deviceId || this.options.deviceId;
+    }
+
+    get mirrored() {
+        if (this.options.mirror === MIRROR_MODES.ON) return true;
+        if (this.options.mirror === MIRROR_MODES.OFF) return false;
+        return this.settings.facingMode !== 'environment';
+    }
+
+    get aspect() {
+        return this.video.videoWidth / this.video.videoHeight;
+    }
+
+    async listDevices() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'videoinput');
+    }
+
+    constraints() {
+        const { deviceId, resolution, frameRate } = this.options;
+        const size = RESOLUTIONS[resolution] || RESOLUTIONS[DEFAULT_CAMERA_OPTIONS.resolution];
+        return {
+            video: {
+                width: { ideal: size.width },
+                height: { ideal: size.height },
+                frameRate: { ideal: parseInt(frameRate, 10) },
+                ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'user' })
+            }
+        };
+    }
+
+    // Opens (or reopens) the camera with options merged into the current ones; rejects with the
+    // getUserMedia error, or a PlaybackError when the video won't play
+    async start(options = {}) {
+        Object.assign(this.options, options);
+        this.stop();
+
+        const stream = await navigator.mediaDevices.getUserMedia(this.constraints());
+        this.stream = stream;
+        this.track = stream.getVideoTracks()[0];
+        this.track.addEventListener('ended', this.onTrackEnded);
+        this.isLost = false;
+
+        // Safari fix: Start video play before/during stream acquisition
+        this.video.setAttribute('playsinline', '');
+        this.video.setAttribute('muted', '');
+        this.video.muted = true;
+        this.video.srcObject = stream;
+
+        if (this.video.readyState < 1) {
+            await new Promise(resolve => this.video.addEventListener('loadedmetadata', resolve, { once: true }));
+        }
+        try {
+            await this.video.play();
+        } catch (error) {
+            this.stop();
+            const playbackError = new Error(`Video playback failed: ${error.message}`);
+            playbackError.name = 'PlaybackError';
+            throw playbackError;
+        }
+    }
+
+    stop() {
+        if (this.track) this.track.removeEventListener('ended', this.onTrackEnded);
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.track = null;
+        this.video.srcObject = null;
+        this.isLost = false; // Stopped on purpose - nothing to recover
+    }
+
+    // Next camera in the device list - works from a failed start too
+    async switchToNext() {
+        const cameras = await this.listDevices();
+        if (cameras.length === 0) {
+            const error = new Error('No camera found');
+            error.name = 'NotFoundError';
+            throw error;
+        }
+        const current = cameras.findIndex(camera => camera.deviceId === this.deviceId);
+        await this.start({ deviceId: cameras[(current + 1) % cameras.length].deviceId });
+    }
+
+    async recover() {
+        const cameras = await this.listDevices();
+        if (cameras.length === 0) return;
+        const sameDevice = cameras.some(camera => camera.deviceId === this.options.deviceId);
+        try {
+            await this.start(sameDevice ? {} : { deviceId: null });
+        } catch (error) {
+            // Still not usable - wait for the next device change
+            console.warn('Camera recovery failed', error);
+            this.isLost = true;
+            return;
+        }
+        if (this.onRecovered) this.onRecovered();
+    }
+
+    dispose() {
+        this.stop();
+        if (navigator.mediaDevices) navigator.mediaDevices.removeEventListener('devicechange', this.onDeviceChange);
+    }
+}
@@ -0,0 +1,345 @@
+/**
+ * Filesystem Backends - where the Spatial Shell's files come from
+ * The shell works on a VirtualFS, synchronous so it can answer every frame. A backend loads its tree
+ * into it, and a BackendSync writes every change through afterwards, in order and in the background;
+ * when a write fails the tree is reloaded so the view matches the backend again.
+ * Backend surface:
+ *   name, persistent                        persistent = false keeps changes in memory only
+ *   async load()                            -> { name, type, permissions, size, children } from '/'
+ *   async mkdir(path), move(path, toDir), copy(path, toDir), delete(path), rename(path, newName)
+ *   async readFile(path) -> text, writeFile(path, content)    file contents, read when first needed
+ */
+
+import { VFSError, VFS_ERRORS, dirname, basename, splitPath } from './vfs.js';
+
+export const BACKEND_KINDS = {
+    MEMORY: 'memory', // The built-in demo tree
+    MANIFEST: 'manifest', // A JSON tree, e.g. from `node fs_server.mjs --manifest <dir>`
+    LOCAL: 'local', // A folder picked with the File System Access API
+    OPFS: 'opfs', // The origin private file system
+    SERVER: 'server' // fs_server.mjs on localhost
+};
+
+const MAX_DEPTH = 8; // Directory levels read from real filesystems
+
+// Demo tree the shell starts with
+export const MOCK_TREE = {
+    name: '/',
+    type: 'dir',
+    permissions: 'drwxr-xr-x',
+    children: [
+        {
+            name: 'sys',
+            type: 'dir',
+            permissions: 'dr-xr-xr-x',
+            children: [
+                { name: 'kernel.bin', type: 'file', size: 1048576, permissions: '-r--------' },
+                { name: 'config.sys', type: 'file', permissions: '-rw-r--r--', content: 'boot=fast\nhands=2\nfilter=one-euro\n' }
+            ]
+        },
+        {
+            name: 'usr',
+            type: 'dir',
+            permissions: 'drwxr-xr-x',
+            children: [
+                { name: 'bin', type: 'dir', permissions: 'drwxr-xr-x', children: [] },
+                { name: 'local', type: 'dir', permissions: 'drwxr-xr-x', children: [] }
+            ]
+        },
+        {
+            name: 'data',
+            type: 'dir',
+            permissions: 'drwxrwxrwx',
+            children: [
+                {
+                    name: 'logs_alpha.log',
+                    type: 'file',
+                    permissions: '-rw-------',
+                    content: '08:00:01 INFO camera started\n08:00:02 INFO model loaded\n08:03:17 ERROR hand lost\n' +
+                        '08:03:18 INFO hand found\n08:10:44 ERROR inference timeout\n'
+                },
+                { name: 'sensor_stream.io', type: 'file', permissions: '-rw-rw-rw-', content: '0.42\n0.17\n0.93\n0.08\n0.55\n' },
+                { name: 'network_dump.pcap', type: 'file', size: 20971520, permissions: '-r--------' }
+            ]
+        },
+        {
+            name: 'readme.txt',
+            type: 'file',
+            permissions: '-rw-r--r--',
+            content: 'Spatial Shell demo files\nsys/ is read-only\ndata/ is open to everyone\n'
+        }
+    ]
+};
+
+export class MemoryBackend {
+    constructor(tree = MOCK_TREE) {
+        this.name = BACKEND_KINDS.MEMORY;
+        this.persistent = false;
+        this.tree = tree;
+    }
+
+    async load() {
+        return this.tree;
+    }
+}
+
+export class ManifestBackend {
+    constructor(url) {
+        this.name = BACKEND_KINDS.MANIFEST;
+        this.persistent = false;
+        this.url = url;
+    }
+
+    async load() {
+        const response = await fetch(this.url);
+        if (!response.ok) throw new Error(`${this.url}: HTTP ${response.status}`);
+        return response.json();
+    }
+}
+
+// Directory handles from showDirectoryPicker() or navigator.storage.getDirectory() - neither has
+// permission bits, so entries get the VFS defaults
+export class FileSystemAccessBackend {
+    constructor(root, name = BACKEND_KINDS.LOCAL) {
+        this.name = name;
+        this.persistent = true;
+        this.root = root;
+    }
+
+    static get isSupported() {
+        return typeof window.showDirectoryPicker === 'function';
+    }
+
+    static get isOPFSSupported() {
+        return !!(navigator.storage && navigator.storage.getDirectory);
+    }
+
+    // Needs a user gesture (a click) to open the picker
+    static async pickDirectory() {
+        return new FileSystemAccessBackend(await window.showDirectoryPicker({ mode: 'readwrite' }), BACKEND_KINDS.LOCAL);
+    }
+
+    static async openOPFS() {
+        return new FileSystemAccessBackend(await navigator.storage.getDirectory(), BACKEND_KINDS.OPFS);
+    }
+
+    async load() {
+        return { name: '/', type: 'dir', children: await this.readDir(this.root, 0) };
+    }
+
+    async readDir(dir, depth) {
+        if (depth >= MAX_DEPTH) return [];
+        const children = [];
+        for await (const handle of dir.values()) {
+            if (handle.kind === 'directory') {
+                children.push({ name: handle.name, type: 'dir', children: await this.readDir(handle, depth + 1) });
+            } else {
+                const file = await handle.getFile();
+                children.push({ name: handle.name, type: 'file', size: file.size });
+            }
+        }
+        return children;
+    }
+
+    async dirHandle(path) {
+        let dir = this.root;
+        for (const part of splitPath(path)) dir = await dir.getDirectoryHandle(part);
+        return dir;
+    }
+
+    async handle(path) {
+        const parent = await this.dirHandle(dirname(path));
+        const name = basename(path);
+        try {
+            return await parent.getFileHandle(name);
+        } catch (error) {
+            if (error.name !== 'TypeMismatchError') throw error;
+            return parent.getDirectoryHandle(name);
+        }
+    }
+
+    async mkdir(path) {
+        const parent = await this.dirHandle(dirname(path));
+        await parent.getDirectoryHandle(basename(path), { create: true });
+    }
+
+    async readFile(path) {
+        const parent = await this.dirHandle(dirname(path));
+        const file = await (await parent.getFileHandle(basename(path))).getFile();
+        return file.text();
+    }
+
+    async writeFile(path, content) {
+        const parent = await this.dirHandle(dirname(path));
+        const handle = await parent.getFileHandle(basename(path), { create: true });
+        const writable = await handle.createWritable();
+        await writable.write(content);
+        await writable.close();
+    }
+
+    async copy(path, toDir) {
+        await this.copyHandle(await this.handle(path), await this.dirHandle(toDir));
+    }
+
+    async copyHandle(source, targetDir, name = source.name) {
+        if (source.kind === 'file') {
+            const target = await targetDir.getFileHandle(name, { create: true });
+            const writable = await target.createWritable();
+            await writable.write(await source.getFile());
+            await writable.close();
+            return;
+        }
+        const dir = await targetDir.getDirectoryHandle(name, { create: true });
+        for await (const child of source.values()) await this.copyHandle(child, dir);
+    }
+
+    // handle.move() is missing in some browsers - copy and delete instead
+    async move(path, toDir) {
+        const source = await this.handle(path);
+        if (source.move) {
+            await source.move(await this.dirHandle(toDir));
+            return;
+        }
+        await this.copy(path, toDir);
+        await this.delete(path);
+    }
+
+    async delete(path) {
+        const parent = await this.dirHandle(dirname(path));
+        await parent.removeEntry(basename(path), { recursive: true });
+    }
+
+    async rename(path, newName) {
+        const source = await this.handle(path);
+        if (source.move) {
+            await source.move(newName);
+            return;
+        }
+        await this.copyHandle(source, await this.dirHandle(dirname(path)), newName);
+        await this.delete(path);
+    }
+}
+
+// fs_server.mjs - every request carries the token it printed on start
+export class HttpBackend {
+    constructor(baseUrl, token) {
+        this.name = BACKEND_KINDS.SERVER;
+        this.persistent = true;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.token = token;
+    }
+
+    // Server errors come back as { code, path, message } with the VFS error codes
+    async request(method, route, body = null) {
+        const response = await fetch(`${this.baseUrl}${route}`, {
+            method,
+            headers: { Authorization: `Bearer ${this.token}`, 'Content-Type': 'application/json' },
+            body: body && JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new VFSError(data.code || VFS_ERRORS.INVALID, data.path || route, data.message || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    load() {
+        return this.request('GET', '/tree');
+    }
+
+    mkdir(path) {
+        return this.request('POST', '/mkdir', { path });
+    }
+
+    move(path, toDir) {
+        return this.request('POST', '/move', { path, toDir });
+    }
+
+    copy(path, toDir) {
+        return this.request('POST', '/copy', { path, toDir });
+    }
+
+    delete(path) {
+        return this.request('POST', '/delete', { path });
+    }
+
+    rename(path, newName) {
+        return this.request('POST', '/rename', { path, newName });
+    }
+
+    async readFile(path) {
+        const { content } = await this.request('POST', '/read', { path });
+        return content;
+    }
+
+    writeFile(path, content) {
+        return this.request('POST', '/write', { path, content });
+    }
+}
+
+// options: { manifest, server, token } - LOCAL needs a user gesture, call it from a click
+export async function createBackend(kind, options = {}) {
+    switch (kind) {
+        case BACKEND_KINDS.MANIFEST:
+            return new ManifestBackend(options.manifest);
+        case BACKEND_KINDS.LOCAL:
+            if (!FileSystemAccessBackend.isSupported) throw new Error('this browser cannot open local folders');
+            return FileSystemAccessBackend.pickDirectory();
+        case BACKEND_KINDS.OPFS:
+            if (!FileSystemAccessBackend.isOPFSSupported) throw new Error('this browser has no private file system');
+            return FileSystemAccessBackend.openOPFS();
+        case BACKEND_KINDS.SERVER:
+            return new HttpBackend(options.server, options.token);
+        default:
+            return new MemoryBackend();
+    }
+}
+
+// Writes the changes of a VirtualFS through to a backend, one at a time in the order they were made
+export class BackendSync {
+    constructor(vfs, backend, { onError = null, onReload = null } = {}) {
+        this.vfs = vfs;
+        this.backend = backend;
+        this.onError = onError; // (error, op, args) when a write failed
+        this.onReload = onReload; // () after the tree was reloaded from the backend
+        this.pending = 0;
+        this.queue = Promise.resolve();
+        vfs.onChange = (op, args) => this.write(op, args);
+        vfs.loadContent = backend.readFile ? path => this.read(path) : null;
+    }
+
+    // Loads the backend's tree into the VFS
+    async reload() {
+        this.vfs.load(await this.backend.load());
+        if (this.onReload) this.onReload();
+    }
+
+    // Queued behind the writes, so a file copied a moment ago is already there
+    read(path) {
+        const content = this.queue.then(() => this.backend.readFile(path));
+        this.queue = content.catch(() => {});
+        return content;
+    }
+
+    write(op, args) {
+        if (!this.backend.persistent) return;
+        this.pending++;
+        this.queue = this.queue
+            .then(() => this.backend[op](...args))
+            .catch(async error => {
+                console.error(`Backend ${op} failed`, error);
+                if (this.onError) this.onError(error, op, args);
+                try {
+                    await this.reload();
+                } catch (reloadError) {
+                    console.error('Backend reload failed', reloadError);
+                }
+            })
+            .finally(() => this.pending--);
+    }
+
+    dispose() {
+        this.vfs.onChange = null;
+        this.vfs.loadContent = null;
+    }
+}
@@ -0,0 +1,290 @@
+/**
+ * File server for the Spatial Shell - serves one directory to HttpBackend in fs_backends.js
+ *   node fs_server.mjs [dir] [--port 8765]    serve dir (default: the current one) on 127.0.0.1
+ *   node fs_server.mjs [dir] --manifest       print dir as a JSON tree for ?fs=manifest instead
+ * Every request needs the token printed on start, so other pages open in the browser can't reach
+ * the files, and paths can't leave dir - symlinks are left out of the tree and refused in requests,
+ * so they can't lead out of it either. Node built-ins only.
+ */
+
+import http from 'node:http';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { randomBytes } from 'node:crypto';
+
+const DEFAULT_PORT = 8765;
+const MAX_DEPTH = 8; // Same as the browser backends in fs_backends.js
+const MAX_FILE = 1024 * 1024; // Largest file read or written - contents travel as JSON text
+const MAX_BODY = 2 * MAX_FILE;
+const SKIPPED = new Set(['.git', 'node_modules']);
+
+// Node error codes -> the VFS ones (vfs.js VFS_ERRORS) and HTTP status
+const VFS_CODES = {
+    ENOENT: 'ENOENT',
+    EEXIST: 'EEXIST',
+    ENOTEMPTY: 'EEXIST',
+    ENOTDIR: 'ENOTDIR',
+    EISDIR: 'EISDIR',
+    EACCES: 'EACCES',
+    EPERM: 'EACCES'
+};
+const MESSAGES = {
+    ENOENT: 'no such file or directory',
+    EEXIST: 'already exists',
+    ENOTDIR: 'not a directory',
+    EISDIR: 'is a directory',
+    EACCES: 'permission denied',
+    EINVAL: 'invalid operation'
+};
+const STATUS = {
+    ENOENT: 404,
+    EEXIST: 409,
+    ENOTDIR: 409,
+    EISDIR: 409,
+    EACCES: 403,
+    EINVAL: 400
+};
+
+class RequestError extends Error {
+    constructor(code, vfsPath, message) {
+        super(message);
+        this.code = code;
+        this.path = vfsPath;
+    }
+}
+
+function parseArgs(argv) {
+    const options = { dir: '.', port: DEFAULT_PORT, manifest: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parsePort(argv[++i]);
+        else if (argv[i] === '--manifest') options.manifest = true;
+        else options.dir = argv[i];
+    }
+    return options;
+}
+
+function parsePort(value) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        console.error(`--port needs a number from 1 to 65535, got ${value ?? 'nothing'}`);
+        process.exit(1);
+    }
+    return port;
+}
+
+// ls-style string from a stat mode
+function permissions(stats) {
+    const bits = 'rwxrwxrwx';
+    return (stats.isDirectory() ? 'd' : '-') + [...bits].map((bit, i) => (stats.mode & (1 << (8 - i)) ? bit : '-')).join('');
+}
+
+// Symlinks and special files are left out; unreadable directories show up empty
+async function readEntry(fullPath, name, depth) {
+    const stats = await fs.lstat(fullPath);
+    if (stats.isDirectory()) {
+        const children = [];
+        if (depth < MAX_DEPTH) {
+            const names = await fs.readdir(fullPath).catch(() => []);
+            for (const child of names.sort()) {
+                if (SKIPPED.has(child)) continue;
+                const entry = await readEntry(path.join(fullPath, child), child, depth + 1).catch(() => null);
+                if (entry) children.push(entry);
+            }
+        }
+        return { name, type: 'dir', permissions: permissions(stats), children };
+    }
+    if (!stats.isFile()) return null;
+    return { name, type: 'file', permissions: permissions(stats), size: stats.size };
+}
+
+function readTree(root) {
+    return readEntry(root, '/', 0);
+}
+
+// VFS path -> path under root. Every part that exists is checked with lstat - reads and writes would
+// follow a symlink wherever it points; the parts that don't exist yet are what the request creates
+async function resolvePath(root, vfsPath) {
+    if (typeof vfsPath !== 'string') throw new RequestError('EINVAL', String(vfsPath), 'path missing');
+    // resolve() drops trailing separators, so '/' comes out as root itself
+    const full = path.resolve(root, `.${path.posix.normalize(`/${vfsPath}`)}`);
+    if (full !== root && !full.startsWith(root + path.sep)) throw new RequestError('EACCES', vfsPath, 'outside the served directory');
+
+    let walked = root;
+    for (const part of path.relative(root, full).split(path.sep).filter(Boolean)) {
+        walked = path.join(walked, part);
+        const stats = await fs.lstat(walked).catch(() => null);
+        if (!stats) break;
+        if (stats.isSymbolicLink()) throw new RequestError('EACCES', vfsPath, 'symlinks are not followed');
+    }
+    return full;
+}
+
+function checkName(name, vfsPath) {
+    if (typeof name !== 'string' || !name || name === '.' || name === '..' || name.includes('/') || name.includes(path.sep)) {
+        throw new RequestError('EINVAL', vfsPath, `bad name '${name}'`);
+    }
+}
+
+async function checkFree(target, vfsPath) {
+    const taken = await fs.lstat(target).then(() => true, () => false);
+    if (taken) throw new RequestError('EEXIST', vfsPath, 'already exists');
+}
+
+function notRoot(root, full, vfsPath) {
+    if (full === root) throw new RequestError('EINVAL', vfsPath, 'not allowed on the root');
+}
+
+const OPERATIONS = {
+    async mkdir(root, { path: vfsPath }) {
+        const full = await resolvePath(root, vfsPath);
+        notRoot(root, full, vfsPath);
+        await fs.mkdir(full);
+    },
+
+    async move(root, { path: vfsPath, toDir }) {
+        const full = await resolvePath(root, vfsPath);
+        notRoot(root, full, vfsPath);
+        const target = path.join(await resolvePath(root, toDir), path.basename(full));
+        if (target === full) return;
+        await checkFree(target, toDir);
+        await fs.rename(full, target);
+    },
+
+    async copy(root, { path: vfsPath, toDir }) {
+        const full = await resolvePath(root, vfsPath);
+        const target = path.join(await resolvePath(root, toDir), path.basename(full));
+        await checkFree(target, toDir);
+        await fs.cp(full, target, { recursive: true, errorOnExist: true, force: false });
+    },
+
+    async delete(root, { path: vfsPath }) {
+        const full = await resolvePath(root, vfsPath);
+        notRoot(root, full, vfsPath);
+        await fs.rm(full, { recursive: true });
+    },
+
+    async read(root, { path: vfsPath }) {
+        const full = await resolvePath(root, vfsPath);
+        const stats = await fs.stat(full);
+        if (stats.isDirectory()) throw new RequestError('EISDIR', vfsPath, 'is a directory');
+        if (stats.size > MAX_FILE) throw new RequestError('EINVAL', vfsPath, 'too large to read');
+        return { content: await fs.readFile(full, 'utf8') };
+    },
+
+    async write(root, { path: vfsPath, content }) {
+        const full = await resolvePath(root, vfsPath);
+        notRoot(root, full, vfsPath);
+        if (typeof content !== 'string') throw new RequestError('EINVAL', vfsPath, 'content missing');
+        await fs.writeFile(full, content);
+    },
+
+    async rename(root, { path: vfsPath, newName }) {
+        const full = await resolvePath(root, vfsPath);
+        notRoot(root, full, vfsPath);
+        checkName(newName, vfsPath);
+        const target = path.join(path.dirname(full), newName);
+        if (target === full) return;
+        await checkFree(target, vfsPath);
+        await fs.rename(full, target);
+    }
+};
+
+// Past MAX_BODY the rest is left unread and the connection closed after the error response
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                req.off('data', onData);
+                req.pause();
+                reject(new RequestError('EINVAL', req.url, 'request too large'));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(new RequestError('EINVAL', req.url, 'body is not JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+function createServer(root, token) {
+    return http.createServer(async (req, res) => {
+        // The app is served from another origin - the token is what keeps other pages out
+        res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Private-Network', 'true');
+        res.setHeader('Vary', 'Origin');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        if (req.headers.authorization !== `Bearer ${token}`) {
+            send(res, 401, { code: 'EACCES', path: req.url, message: 'missing or wrong token' });
+            return;
+        }
+
+        const route = new URL(req.url, 'http://localhost').pathname.slice(1);
+        let body = {};
+        try {
+            if (req.method === 'GET' && route === 'tree') {
+                send(res, 200, await readTree(root));
+                return;
+            }
+            const operation = req.method === 'POST' && Object.hasOwn(OPERATIONS, route) && OPERATIONS[route];
+            if (!operation) {
+                send(res, 404, { code: 'ENOENT', path: req.url, message: 'unknown route' });
+                return;
+            }
+            body = await readBody(req);
+            const result = await operation(root, body);
+            console.log(`${route} ${JSON.stringify({ ...body, content: undefined })}`);
+            send(res, 200, result || { ok: true });
+        } catch (error) {
+            // Filesystem errors name server paths - only the code goes back
+            if (error instanceof RequestError) {
+                if (!req.complete) res.setHeader('Connection', 'close');
+                send(res, STATUS[error.code], { code: error.code, path: error.path, message: error.message });
+                return;
+            }
+            console.error(error.message);
+            const code = VFS_CODES[error.code] || 'EINVAL';
+            send(res, STATUS[code], { code, path: body.path || `/${route}`, message: MESSAGES[code] });
+        }
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    // The real path, so the symlink checks in resolvePath() start below it
+    const root = await fs.realpath(path.resolve(options.dir));
+
+    if (options.manifest) {
+        process.stdout.write(`${JSON.stringify(await readTree(root), null, 2)}\n`);
+        return;
+    }
+
+    const token = randomBytes(16).toString('hex');
+    createServer(root, token).listen(options.port, '127.0.0.1', () => {
+        console.log(`Serving ${root} on http://localhost:${options.port}`);
+        console.log(`Open the app with ?fs=server&fsServer=http://localhost:${options.port}&fsToken=${token}`);
+    });
+}
+
+main();
@@ -0,0 +1,183 @@
+/**
+ * Gesture Bindings - named gestures mapped to app actions
+ * Gestures are the recognizer's categories (hand.gesture) plus custom ones detected from landmarks.
+ * A binding fires once after its gesture has been seen with enough confidence for holdTime,
+ * then stays quiet until the gesture ends and its cooldown has passed. After a reset a gesture has
+ * to end before it can fire, so the ILoveYou still held from an app switch doesn't switch again.
+ * Landmark detectors only see tracked hands - a pointer-emulated hand's motion is the cursor's.
+ */
+
+import { POINTER_HANDEDNESS } from './hand_input.js';
+
+export const GESTURES = {
+    // GestureRecognizer categories
+    OPEN_PALM: 'Open_Palm',
+    CLOSED_FIST: 'Closed_Fist',
+    POINTING_UP: 'Pointing_Up',
+    THUMB_UP: 'Thumb_Up',
+    THUMB_DOWN: 'Thumb_Down',
+    VICTORY: 'Victory',
+    I_LOVE_YOU: 'ILoveYou',
+    // Custom, from landmarks
+    SWIPE_LEFT: 'Swipe_Left',
+    SWIPE_RIGHT: 'Swipe_Right',
+    CLAP: 'Clap'
+};
+
+const MIDDLE_MCP = 9; // Palm centre
+
+const SWIPE_WINDOW = 250; // ms the travel has to happen in
+const SWIPE_DISTANCE = 0.25; // Horizontal travel, share of image width
+
+const CLAP_WINDOW = 400; // ms from apart to together
+const CLAP_APART = 0.3;
+const CLAP_TOGETHER = 0.08;
+
+const DEFAULT_BINDING = {
+    hand: 'any', // 'left' | 'right' | 'any' | 'both'
+    minScore: 0.6,
+    holdTime: 200, // ms - 0 for one-frame gestures like swipes
+    cooldown: 800
+};
+
+// Detectors turn hands into detections: [{ name, side, score }]
+
+export class SwipeDetector {
+    constructor() {
+        this.mirrored = true; // Swipe direction is on screen
+        this.reset();
+    }
+
+    reset() {
+        this.history = { left: [], right: [] };
+    }
+
+    detect(hands, now) {
+        const detections = [];
+        ['left', 'right'].forEach(side => {
+            const hand = hands[side];
+            const history = this.history[side];
+            if (!hand) {
+                history.length = 0;
+                return;
+            }
+
+            const landmark = hand.landmarks[MIDDLE_MCP];
+            const x = this.mirrored ? 1 - landmark.x : landmark.x;
+            history.push({ x, time: now });
+            while (now - history[0].time > SWIPE_WINDOW) history.shift();
+
+            const travel = x - history[0].x;
+            if (Math.abs(travel) >= SWIPE_DISTANCE) {
+                detections.push({ name: travel < 0 ? GESTURES.SWIPE_LEFT : GESTURES.SWIPE_RIGHT, side, score: 1 });
+                history.length = 0; // One swipe per motion
+            }
+        });
+        return detections;
+    }
+}
+
+export class ClapDetector {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.apartTime = null;
+    }
+
+    detect(hands, now) {
+        if (!hands.left || !hands.right) {
+            this.apartTime = null;
+            return [];
+        }
+
+        const a = hands.left.landmarks[MIDDLE_MCP];
+        const b = hands.right.landmarks[MIDDLE_MCP];
+        const dist = Math.hypot(a.x - b.x, a.y - b.y);
+
+        if (dist > CLAP_APART) {
+            this.apartTime = now;
+        } else if (dist < CLAP_TOGETHER && this.apartTime !== null && now - this.apartTime <= CLAP_WINDOW) {
+            this.apartTime = null;
+            return [{ name: GESTURES.CLAP, side: 'both', score: 1 }];
+        }
+        return [];
+    }
+}
+
+export class GestureBindings {
+    // bindings: [{ gesture, action, hand?, minScore?, holdTime?, cooldown? }]
+    constructor(bindings = [], { detectors = [new SwipeDetector(), new ClapDetector()] } = {}) {
+        this.detectors = detectors;
+        this.setBindings(bindings);
+    }
+
+    setBindings(bindings) {
+        this.bindings = bindings.map(binding => ({ ...DEFAULT_BINDING, ...binding }));
+        this.reset();
+    }
+
+    // Every binding starts as if it had just fired - it arms once its gesture is gone
+    reset() {
+        this.states = this.bindings.map(() => ({ since: null, fired: true, lastFired: -Infinity }));
+        this.detectors.forEach(detector => detector.reset());
+    }
+
+    // For detectors with a screen direction
+    setMirrored(mirrored) {
+        this.detectors.forEach(detector => {
+            if ('mirrored' in detector) detector.mirrored = mirrored;
+        });
+    }
+
+    detect(hands, now) {
+        const detections = [];
+        ['left', 'right'].forEach(side => {
+            const gesture = hands[side] && hands[side].gesture;
+            if (gesture && gesture.name !== 'None') {
+                detections.push({ name: gesture.name, side, score: gesture.score });
+            }
+        });
+        const tracked = {};
+        ['left', 'right'].forEach(side => {
+            const hand = hands[side];
+            tracked[side] = hand && hand.handedness !== POINTER_HANDEDNESS ? hand : null;
+        });
+        this.detectors.forEach(detector => detections.push(...detector.detect(tracked, now)));
+        return detections;
+    }
+
+    matches(binding, detections) {
+        const sides = detections
+            .filter(d => d.name === binding.gesture && d.score >= binding.minScore)
+            .map(d => d.side);
+
+        if (binding.hand === 'any') return sides.length > 0;
+        if (binding.hand === 'both') return sides.includes('both') || (sides.includes('left') && sides.includes('right'));
+        return sides.includes(binding.hand);
+    }
+
+    // Returns the bindings that fired this frame: [{ action, gesture }]
+    update(hands, now) {
+        const detections = this.detect(hands, now);
+        const fired = [];
+
+        this.bindings.forEach((binding, i) => {
+            const state = this.states[i];
+            if (!this.matches(binding, detections)) {
+                state.since = null;
+                state.fired = false;
+                return;
+            }
+
+            if (state.since === null) state.since = now;
+            if (state.fired || now - state.since < binding.holdTime || now - state.lastFired < binding.cooldown) return;
+
+            state.fired = true;
+            state.lastFired = now;
+            fired.push({ action: binding.action, gesture: binding.gesture });
+        });
+        return fired;
+    }
+}
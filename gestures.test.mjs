@@ -0,0 +1,77 @@
+/**
+ * Gesture Bindings tests - headless, under Node's test runner: node --test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { GestureBindings, GESTURES } from './gestures.js';
+import { AppHost, HOST_ACTIONS } from './app_host.js';
+
+const FRAME = 16;
+
+// A still tracked hand showing gesture, palm at x
+function hand(gesture, x = 0.5) {
+    return {
+        handedness: 'Right',
+        landmarks: Array.from({ length: 21 }, () => ({ x, y: 0.5, z: 0 })),
+        gesture: { name: gesture, score: 0.9 }
+    };
+}
+
+function stubApp(gestureBindings) {
+    return { gestureBindings, performAction: () => false };
+}
+
+// Feeds the same hands every frame from start until end, returns the fired actions
+function hold(bindings, hands, start, end) {
+    const actions = [];
+    for (let now = start; now < end; now += FRAME) {
+        bindings.update(hands, now).forEach(({ action }) => actions.push(action));
+    }
+    return actions;
+}
+
+test('a binding fires once after its hold time and again only after the gesture ends', () => {
+    const bindings = new GestureBindings([{ gesture: GESTURES.CLOSED_FIST, action: 'drop', holdTime: 200 }]);
+    const fist = { left: hand(GESTURES.CLOSED_FIST), right: null };
+
+    assert.deepEqual(hold(bindings, { left: null, right: null }, 0, FRAME), []);
+    assert.deepEqual(hold(bindings, fist, FRAME, 200), []);
+    assert.deepEqual(hold(bindings, fist, 208, 2000), ['drop']);
+    assert.deepEqual(hold(bindings, { left: null, right: null }, 2000, 2016), []);
+    assert.deepEqual(hold(bindings, fist, 2016, 2400), ['drop']);
+});
+
+test('the ILoveYou held through an app switch does not switch again', () => {
+    // Wired like the page: a switch brings the new app's bindings and resets the frame state
+    let bindings = null;
+    const host = new AppHost({
+        onSwitch: () => {
+            bindings.setBindings(host.gestureBindings);
+            bindings.reset();
+        }
+    });
+    host.register('first', 'First', stubApp([{ gesture: GESTURES.THUMB_UP, action: 'restart' }]));
+    host.register('second', 'Second', stubApp([{ gesture: GESTURES.VICTORY, action: 'pause' }]));
+    bindings = new GestureBindings(host.gestureBindings);
+
+    const sign = { left: null, right: hand(GESTURES.I_LOVE_YOU) };
+    const none = { left: null, right: null };
+    const switches = [];
+    const run = (hands, start, end) => {
+        for (let now = start; now < end; now += FRAME) {
+            bindings.update(hands, now).forEach(({ action }) => {
+                if (host.performAction(action, now)) switches.push(host.activeId);
+            });
+        }
+    };
+
+    run(none, 0, FRAME);
+    run(sign, FRAME, 5000);
+    assert.deepEqual(switches, ['second']);
+
+    // Let go, then a fresh hold switches back
+    run(none, 5000, 5000 + FRAME);
+    run(sign, 5000 + FRAME, 6100);
+    assert.deepEqual(switches, ['second', 'first']);
+});
@@ -0,0 +1,477 @@
+/**
+ * Hand Input - normalized hand frames from pluggable sources
+ * Apps never see raw recognizer output, every source yields the same frame:
+ *   { timestamp, hands: { left, right } }
+ *   hand = { side, landmarks, handedness, confidence, gesture, pinch: { ratio, strength, confidence } }
+ * gesture is the recognizer's top category ({ name, score }) or null.
+ * HandInput One-Euro filters the landmarks (raw ones stay on hand.rawLandmarks) and fills in pinch
+ * with the shared estimator from pinch.js.
+ * Landmarks stay in MediaPipe image space (0-1, unmirrored) so existing mapping code keeps working.
+ * source.mirrored says whether the image is shown mirrored (front camera) - apps flip x to match, see toScreenX.
+ * Sources may expose stats ({ inferenceTime, latency, rate }) when inference runs elsewhere.
+ */
+
+import { PinchEstimator } from './pinch.js';
+import { LandmarkFilter } from './one_euro.js';
+
+export const HAND_SIDES = ['left', 'right'];
+
+// handedness of hands PointerSource makes up - they jump and sweep with the cursor, not like a real hand
+export const POINTER_HANDEDNESS = 'Pointer';
+
+const THUMB_TIP = 4;
+const INDEX_TIP = 8;
+const MIDDLE_MCP = 9;
+
+// Normalized image x -> screen x for an image shown mirrored or not
+export function toScreenX(x, w, mirrored = true) {
+    return (mirrored ? 1 - x : x) * w;
+}
+
+export function createEmptyFrame(timestamp) {
+    return { timestamp, hands: { left: null, right: null } };
+}
+
+export function createHand(side, landmarks, handedness, confidence = 1, gesture = null) {
+    return { side, landmarks, handedness, confidence, gesture, pinch: null };
+}
+
+// GestureRecognizer/HandLandmarker results -> frame
+// mirrored is how the source shows the image; MediaPipe labels hands as if it were mirrored
+export function frameFromResults(results, timestamp, mirrored = true) {
+    const frame = createEmptyFrame(timestamp);
+    if (!results || !results.landmarks) return frame;
+
+    for (let i = 0; i < results.landmarks.length; i++) {
+        const category = results.handednesses[i][0];
+        // Mirrored, MediaPipe's 'Right' is the user's left side; shown as captured it stays on the right
+        const side = (category.categoryName === 'Right') === mirrored ? 'left' : 'right';
+        const top = results.gestures && results.gestures[i] && results.gestures[i][0];
+        const gesture = top ? { name: top.categoryName, score: top.score } : null;
+        frame.hands[side] = createHand(side, results.landmarks[i], category.categoryName, category.score, gesture);
+    }
+    return frame;
+}
+
+// Frame -> recognizer-shaped results, the inverse of frameFromResults - for recording frames that
+// were made up from results (interpolated ones) so a replay sees exactly them
+export function resultsFromFrame(frame) {
+    const results = { landmarks: [], handednesses: [], gestures: [] };
+    HAND_SIDES.forEach(side => {
+        const hand = frame.hands[side];
+        if (!hand) return;
+        results.landmarks.push(hand.landmarks);
+        results.handednesses.push([{ categoryName: hand.handedness, score: hand.confidence, index: 0 }]);
+        results.gestures.push(hand.gesture ? [{ categoryName: hand.gesture.name, score: hand.gesture.score, index: 0 }] : []);
+    });
+    return results;
+}
+
+// Plausible 21-point hand around a pinch midpoint (normalized image coords), pinch = thumb-index gap
+export function synthesizeLandmarks(x, y, pinch, scale = 0.18) {
+    const landmarks = [];
+    const wrist = { x, y: y + scale, z: 0 };
+
+    for (let i = 0; i < 21; i++) {
+        // Spread the non-tracked joints between wrist and fingertips
+        const t = (i % 4 || 4) / 4;
+        const finger = Math.floor((i - 1) / 4); // 0 thumb .. 4 pinky
+        const spread = (finger - 2) * scale * 0.25;
+        landmarks.push({
+            x: wrist.x + spread * t,
+            y: wrist.y - scale * 0.9 * t,
+            z: 0
+        });
+    }
+
+    landmarks[0] = wrist;
+    landmarks[MIDDLE_MCP] = { x, y: y + scale * 0.45, z: 0 };
+    landmarks[THUMB_TIP] = { x: x - pinch / 2, y, z: 0 };
+    landmarks[INDEX_TIP] = { x: x + pinch / 2, y, z: 0 };
+    return landmarks;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SOURCES - poll(timestamp) returns a frame, or null if nothing new
+// ═══════════════════════════════════════════════════════════════════════════
+
+export class MediaPipeSource {
+    // onResults(results, timestamp) sees every raw recognizer result, e.g. for session recording
+    constructor(recognizer, video, { onResults = null, mirrored = true } = {}) {
+        this.name = 'mediapipe';
+        this.recognizer = recognizer;
+        this.video = video;
+        this.onResults = onResults;
+        this.mirrored = mirrored;
+    }
+
+    poll(timestamp) {
+        const results = this.recognizer.recognizeForVideo(this.video, timestamp);
+        if (this.onResults) this.onResults(results, timestamp);
+        return frameFromResults(results, timestamp, this.mirrored);
+    }
+}
+
+// Blend two frames' landmarks, alpha 0 = from, 1 = to. A hand missing from either side isn't blended:
+// it follows `to`, so hands appear and disappear with the newest result.
+export function interpolateFrames(from, to, alpha, timestamp) {
+    const frame = createEmptyFrame(timestamp);
+    HAND_SIDES.forEach(side => {
+        const a = from.hands[side];
+        const b = to.hands[side];
+        if (!b) return;
+        const landmarks = a
+            ? b.landmarks.map((p, i) => ({
+                x: a.landmarks[i].x + (p.x - a.landmarks[i].x) * alpha,
+                y: a.landmarks[i].y + (p.y - a.landmarks[i].y) * alpha,
+                z: (a.landmarks[i].z || 0) + ((p.z || 0) - (a.landmarks[i].z || 0)) * alpha
+            }))
+            : b.landmarks;
+        frame.hands[side] = createHand(side, landmarks, b.handedness, b.confidence, b.gesture);
+    });
+    return frame;
+}
+
+// Same results as MediaPipeSource, inferred by inference_worker.js. Video frames go over as transferred
+// ImageBitmaps, one in flight at a time. Polls run at display rate and blend the two newest results,
+// trailing the camera by one inference interval so motion stays smooth at any inference rate.
+export class WorkerSource {
+    // onResults(results, timestamp) sees every frame poll() hands out, blended ones included
+    constructor(worker, video, { onResults = null, mirrored = true } = {}) {
+        this.name = 'worker';
+        this.worker = worker;
+        this.video = video;
+        this.onResults = onResults;
+        this.mirrored = mirrored;
+        this.inFlight = false;
+        this.lastVideoTime = -1;
+        this.previous = null; // { frame, arrivedAt }
+        this.latest = null;
+        // Inference timing, separate from render FPS: ms in the recognizer, ms from capture to results, results/s
+        this.stats = { inferenceTime: 0, latency: 0, rate: 0 };
+        this.resultCount = 0;
+        this.rateStart = null;
+
+        this.onMessage = ({ data }) => {
+            if (data.type !== 'results' && data.type !== 'error') return;
+            this.inFlight = false;
+            if (data.type === 'error') {
+                if (window.addLog) window.addLog(`INFERENCE_ERR: ${data.message}`);
+                return;
+            }
+            this.receive(data, performance.now());
+        };
+        this.worker.addEventListener('message', this.onMessage);
+    }
+
+    receive({ timestamp, results, inferenceTime }, now) {
+        this.previous = this.latest;
+        this.latest = { frame: frameFromResults(results, timestamp, this.mirrored), arrivedAt: now };
+
+        this.stats.inferenceTime = inferenceTime;
+        this.stats.latency = now - timestamp;
+        this.resultCount++;
+        if (this.rateStart === null) this.rateStart = now;
+        if (now - this.rateStart >= 1000) {
+            this.stats.rate = this.resultCount;
+            this.resultCount = 0;
+            this.rateStart = now;
+        }
+    }
+
+    send(timestamp) {
+        // Skip until the previous frame is back and the camera has a new one
+        if (this.inFlight || this.video.readyState < 2 || this.video.currentTime === this.lastVideoTime) return;
+        this.lastVideoTime = this.video.currentTime;
+        this.inFlight = true;
+
+        createImageBitmap(this.video)
+            .then(bitmap => this.worker.postMessage({ type: 'frame', bitmap, timestamp }, [bitmap]))
+            .catch(error => {
+                this.inFlight = false;
+                console.warn('Frame capture failed', error);
+            });
+    }
+
+    poll(timestamp) {
+        this.send(timestamp);
+        const frame = this.blend(timestamp);
+        if (frame && this.onResults) this.onResults(resultsFromFrame(frame), timestamp);
+        return frame;
+    }
+
+    blend(timestamp) {
+        if (!this.latest) return null;
+        if (!this.previous) return interpolateFrames(this.latest.frame, this.latest.frame, 1, timestamp);
+
+        const interval = Math.max(this.latest.frame.timestamp - this.previous.frame.timestamp, 1);
+        const alpha = Math.min((timestamp - this.latest.arrivedAt) / interval, 1);
+        return interpolateFrames(this.previous.frame, this.latest.frame, Math.max(alpha, 0), timestamp);
+    }
+
+    dispose() {
+        // The worker outlives its sources - results still on their way are dropped
+        this.worker.removeEventListener('message', this.onMessage);
+    }
+}
+
+// Plays back recorded recognizer results: entries = [{ timestamp, results }]
+// Frames keep their recorded timestamps and are emitted one per poll, so a consumer that
+// updates on every fresh frame sees exactly the sequence it saw live.
+export class ReplaySource {
+    constructor(entries, { loop = false, speed = 1, mirrored = true } = {}) {
+        this.name = 'replay';
+        this.entries = entries;
+        this.loop = loop;
+        this.speed = speed;
+        this.mirrored = mirrored; // As it was recorded
+        this.paused = false;
+        this.index = 0; // Next entry to emit
+        this.playhead = 0; // Recording time (ms from the first entry) played so far
+        this.lastPoll = null;
+        this.pendingSteps = 0;
+    }
+
+    get finished() {
+        return !this.loop && this.index >= this.entries.length;
+    }
+
+    rewind() {
+        this.index = 0;
+        this.playhead = 0;
+        this.pendingSteps = 0;
+    }
+
+    // Emit the next count entries regardless of timing, playback stays paused
+    step(count = 1) {
+        this.paused = true;
+        this.pendingSteps += count;
+    }
+
+    poll(timestamp) {
+        if (this.entries.length === 0) return null;
+
+        if (this.lastPoll !== null && !this.paused) {
+            this.playhead += (timestamp - this.lastPoll) * this.speed;
+        }
+        this.lastPoll = timestamp;
+
+        if (this.index >= this.entries.length) {
+            if (!this.loop) return null;
+            this.rewind();
+        }
+
+        const origin = this.entries[0].timestamp;
+        const entry = this.entries[this.index];
+
+        if (this.pendingSteps > 0) {
+            this.pendingSteps--;
+            this.playhead = entry.timestamp - origin;
+        } else if (this.paused || entry.timestamp - origin > this.playhead) {
+            return null;
+        }
+
+        this.index++;
+        return frameFromResults(entry.results, entry.timestamp, this.mirrored);
+    }
+}
+
+// script(timeMs) -> { left: { x, y, pinch, gesture? } | null, right: ... } in normalized image coords
+export class ScriptedSource {
+    constructor(script) {
+        this.name = 'scripted';
+        this.mirrored = true;
+        this.script = script;
+        this.startTime = null;
+    }
+
+    poll(timestamp) {
+        if (this.startTime === null) this.startTime = timestamp;
+
+        const pose = this.script(timestamp - this.startTime) || {};
+        const frame = createEmptyFrame(timestamp);
+        HAND_SIDES.forEach(side => {
+            const hand = pose[side];
+            if (hand) {
+                const landmarks = synthesizeLandmarks(hand.x, hand.y, hand.pinch);
+                const gesture = hand.gesture ? { name: hand.gesture, score: 1 } : null;
+                frame.hands[side] = createHand(side, landmarks, 'Synthetic', 1, gesture);
+            }
+        });
+        return frame;
+    }
+}
+
+// Mouse / touch emulation - pressing pinches.
+// Mouse: the cursor is the left hand, holding Shift moves the right hand instead.
+// Touch: the first finger is the left hand, a second finger the right hand.
+// A hand that isn't being driven stays where it was, so two-handed moves still work.
+export class PointerSource {
+    constructor(target, { openPinch = 0.15, closedPinch = 0.02, modifierKey = 'Shift' } = {}) {
+        this.name = 'pointer';
+        this.mirrored = true; // Positions are converted back as if the screen were a mirrored camera
+        this.target = target;
+        this.openPinch = openPinch;
+        this.closedPinch = closedPinch;
+        this.modifierKey = modifierKey;
+        this.hands = { left: null, right: null }; // { x, y, isDown } in image space
+        this.touches = new Map(); // pointerId -> side
+        this.mouseSide = 'left';
+        this.mouseDown = false;
+
+        this.onPointerDown = (e) => {
+            const side = this.sideFor(e);
+            if (!side) return;
+            if (e.pointerType === 'mouse') this.mouseDown = true;
+            this.setHand(side, e, true);
+        };
+        this.onPointerMove = (e) => {
+            const side = this.sideFor(e);
+            if (!side) return;
+            const isDown = e.pointerType === 'mouse' ? this.mouseDown : true;
+            this.setHand(side, e, isDown);
+        };
+        this.onPointerUp = (e) => {
+            if (e.pointerType === 'mouse') {
+                this.mouseDown = false;
+                if (this.hands[this.mouseSide]) this.hands[this.mouseSide].isDown = false;
+                return;
+            }
+            const side = this.touches.get(e.pointerId);
+            if (!side) return;
+            this.touches.delete(e.pointerId);
+            if (this.hands[side]) this.hands[side].isDown = false;
+        };
+        this.onKey = (e) => {
+            if (e.key !== this.modifierKey) return;
+            this.switchMouseSide(e.type === 'keydown' ? 'right' : 'left');
+        };
+
+        // Keep touches from scrolling or zooming the page
+        this.previousTouchAction = this.target.style.touchAction;
+        this.target.style.touchAction = 'none';
+
+        this.target.addEventListener('pointerdown', this.onPointerDown);
+        this.target.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('pointerup', this.onPointerUp);
+        window.addEventListener('pointercancel', this.onPointerUp);
+        window.addEventListener('keydown', this.onKey);
+        window.addEventListener('keyup', this.onKey);
+    }
+
+    sideFor(e) {
+        if (e.pointerType === 'mouse' || e.pointerType === 'pen') return this.mouseSide;
+
+        if (!this.touches.has(e.pointerId)) {
+            if (e.type !== 'pointerdown') return null;
+            const used = [...this.touches.values()];
+            const side = used.includes('left') ? (used.includes('right') ? null : 'right') : 'left';
+            if (!side) return null; // Only two hands
+            this.touches.set(e.pointerId, side);
+        }
+        return this.touches.get(e.pointerId);
+    }
+
+    // Hand the cursor over to the other side; the one left behind keeps its pinch
+    switchMouseSide(side) {
+        if (side === this.mouseSide) return;
+        const previous = this.hands[this.mouseSide];
+        this.mouseSide = side;
+        if (previous) {
+            // The new hand picks up at the cursor, pinching if the button is still held
+            this.hands[side] = { x: previous.x, y: previous.y, isDown: this.mouseDown };
+        }
+    }
+
+    setHand(side, e, isDown) {
+        const rect = this.target.getBoundingClientRect();
+        // Screen is mirrored, so convert back to image space
+        this.hands[side] = {
+            x: 1 - (e.clientX - rect.left) / rect.width,
+            y: (e.clientY - rect.top) / rect.height,
+            isDown
+        };
+    }
+
+    poll(timestamp) {
+        const frame = createEmptyFrame(timestamp);
+        HAND_SIDES.forEach(side => {
+            const hand = this.hands[side];
+            if (!hand) return;
+            const pinch = hand.isDown ? this.closedPinch : this.openPinch;
+            const landmarks = synthesizeLandmarks(hand.x, hand.y, pinch);
+            frame.hands[side] = createHand(side, landmarks, POINTER_HANDEDNESS);
+        });
+        return frame;
+    }
+
+    dispose() {
+        this.target.style.touchAction = this.previousTouchAction;
+        this.target.removeEventListener('pointerdown', this.onPointerDown);
+        this.target.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+        window.removeEventListener('pointercancel', this.onPointerUp);
+        window.removeEventListener('keydown', this.onKey);
+        window.removeEventListener('keyup', this.onKey);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HAND INPUT
+// ═══════════════════════════════════════════════════════════════════════════
+
+export class HandInput {
+    // filter: LandmarkFilter, or null for raw landmarks
+    constructor(source = null, { pinchEstimator = new PinchEstimator(), filter = new LandmarkFilter() } = {}) {
+        this.pinchEstimator = pinchEstimator;
+        this.filter = filter;
+        this.source = null;
+        this.frame = createEmptyFrame(0);
+        this.isFresh = false; // Whether the last poll produced a new frame
+        if (source) this.setSource(source);
+    }
+
+    setSource(source) {
+        if (this.source && this.source.dispose) this.source.dispose();
+        this.source = source;
+        this.frame = createEmptyFrame(0);
+        this.isFresh = false;
+        this.resetFilter();
+    }
+
+    resetFilter() {
+        if (this.filter) HAND_SIDES.forEach(side => this.filter.reset(side));
+    }
+
+    // Latest frame; sources that have nothing new keep the previous hands
+    poll(timestamp) {
+        this.isFresh = false;
+        if (!this.source) return this.frame;
+
+        const frame = this.source.poll(timestamp);
+        if (frame) {
+            HAND_SIDES.forEach(side => {
+                const hand = frame.hands[side];
+                if (!hand) {
+                    // Start fresh when the hand comes back instead of sweeping in from where it left
+                    if (this.filter) this.filter.reset(side);
+                    return;
+                }
+                hand.rawLandmarks = hand.landmarks;
+                if (this.filter) hand.landmarks = this.filter.filterHand(side, hand.landmarks, frame.timestamp);
+                hand.pinch = this.pinchEstimator.estimate(hand.landmarks, hand.confidence);
+            });
+            this.frame = frame;
+            this.isFresh = true;
+        }
+        return this.frame;
+    }
+
+    get hands() {
+        return this.frame.hands;
+    }
+
+    get mirrored() {
+        return !this.source || this.source.mirrored !== false;
+    }
+}
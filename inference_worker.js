@@ -0,0 +1,64 @@
+/**
+ * Inference Worker - runs the GestureRecognizer off the main thread
+ * Video frames arrive as transferred ImageBitmaps, results go back serialized, so slow inference
+ * delays landmarks instead of rendering. GPU inference draws into an OffscreenCanvas.
+ * Assets come resolved from the page (asset_resolver.js), the bundle is imported from whichever source won.
+ *   -> { type: 'init', assets, numHands }                    <- { type: 'ready', delegate } | { type: 'error', message }
+ *   -> { type: 'frame', bitmap, timestamp }                  <- { type: 'results', timestamp, results, inferenceTime }
+ *                                                              | { type: 'error', timestamp, message }
+ */
+
+import { loadVisionBundle } from './asset_resolver.js';
+import { serializeResults } from './session_recorder.js';
+
+let recognizer = null;
+
+async function createRecognizer({ assets, numHands }) {
+    const { GestureRecognizer, FilesetResolver } = await loadVisionBundle(assets);
+    const vision = await FilesetResolver.forVisionTasks(assets.wasm.url);
+    const create = (delegate) => GestureRecognizer.createFromOptions(vision, {
+        baseOptions: { modelAssetPath: assets.model.url, delegate },
+        canvas: new OffscreenCanvas(1, 1),
+        runningMode: "VIDEO",
+        numHands
+    });
+
+    try {
+        recognizer = await create("GPU");
+        return "GPU";
+    } catch (gpuError) {
+        console.warn('GPU acceleration failed in worker, falling back to CPU', gpuError);
+        recognizer = await create("CPU");
+        return "CPU";
+    }
+}
+
+self.onmessage = async ({ data }) => {
+    if (data.type === 'init') {
+        try {
+            const delegate = await createRecognizer(data);
+            self.postMessage({ type: 'ready', delegate });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+        return;
+    }
+
+    if (data.type === 'frame') {
+        const { bitmap, timestamp } = data;
+        try {
+            const start = performance.now();
+            const results = recognizer.recognizeForVideo(bitmap, timestamp);
+            self.postMessage({
+                type: 'results',
+                timestamp,
+                results: serializeResults(results),
+                inferenceTime: performance.now() - start
+            });
+        } catch (error) {
+            self.postMessage({ type: 'error', timestamp, message: error.message });
+        } finally {
+            bitmap.close();
+        }
+    }
+};
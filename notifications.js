@@ -0,0 +1,114 @@
+/**
+ * Notifications - status line, toasts and the system log
+ * Toasts carry a severity and optional actions (retry, switch camera, ...). Every toast and
+ * addLog() line ends up in the log, which a toggleable panel shows.
+ */
+
+export const SEVERITY = {
+    INFO: 'info',
+    WARNING: 'warning',
+    ERROR: 'error'
+};
+
+// ms a toast stays up - 0 keeps errors until an action or the close button
+const TOAST_DURATION = {
+    [SEVERITY.INFO]: 4000,
+    [SEVERITY.WARNING]: 8000,
+    [SEVERITY.ERROR]: 0
+};
+
+const LOG_LIMIT = 200;
+
+export class Notifier {
+    constructor({ statusEl, toastsEl, logPanelEl, logListEl }) {
+        this.statusEl = statusEl;
+        this.toastsEl = toastsEl;
+        this.logPanelEl = logPanelEl;
+        this.logListEl = logListEl;
+        this.entries = []; // { time, message, severity }
+        this.toasts = new Map(); // key -> { el, timer }
+        this.nextKey = 0;
+    }
+
+    setStatus(text, severity = SEVERITY.INFO) {
+        this.statusEl.textContent = text;
+        this.statusEl.dataset.severity = severity;
+    }
+
+    log(message, severity = SEVERITY.INFO) {
+        const entry = {
+            time: new Date().toLocaleTimeString('en-GB', { hour12: false }),
+            message,
+            severity
+        };
+        this.entries.push(entry);
+        if (this.entries.length > LOG_LIMIT) this.entries.shift();
+        if (this.isLogOpen) this.renderLog();
+    }
+
+    // actions: [{ label, run }], running one closes the toast. A key replaces the earlier toast with that key,
+    // so a retry that fails again doesn't stack up copies. Returns the key.
+    notify(message, { severity = SEVERITY.INFO, actions = [], duration = TOAST_DURATION[severity], key = null } = {}) {
+        this.log(message, severity);
+
+        const toastKey = key || `toast-${this.nextKey++}`;
+        this.dismiss(toastKey);
+
+        const el = document.createElement('div');
+        el.className = 'notification';
+        el.dataset.severity = severity;
+
+        const text = document.createElement('span');
+        text.textContent = message;
+        el.appendChild(text);
+
+        actions.forEach(({ label, run }) => {
+            el.appendChild(this.createButton(label, () => {
+                this.dismiss(toastKey);
+                run();
+            }));
+        });
+        el.appendChild(this.createButton('×', () => this.dismiss(toastKey)));
+
+        this.toastsEl.appendChild(el);
+        const timer = duration ? setTimeout(() => this.dismiss(toastKey), duration) : null;
+        this.toasts.set(toastKey, { el, timer });
+        return toastKey;
+    }
+
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    dismiss(key) {
+        const toast = this.toasts.get(key);
+        if (!toast) return;
+        clearTimeout(toast.timer);
+        toast.el.remove();
+        this.toasts.delete(key);
+    }
+
+    get isLogOpen() {
+        return !this.logPanelEl.hidden;
+    }
+
+    toggleLog(open = !this.isLogOpen) {
+        this.logPanelEl.hidden = !open;
+        if (open) this.renderLog();
+    }
+
+    renderLog() {
+        this.logListEl.replaceChildren(...this.entries.map(entry => {
+            const line = document.createElement('div');
+            line.className = 'log-entry';
+            line.dataset.severity = entry.severity;
+            line.textContent = `[${entry.time}] ${entry.message}`;
+            return line;
+        }));
+        this.logListEl.scrollTop = this.logListEl.scrollHeight;
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * One-Euro Filter - speed-adaptive low-pass (Casiez et al. 2012)
+ * Slow movement gets a low cutoff (no jitter at rest), fast movement raises it (little lag on drags).
+ *   minCutoff - Hz at rest, lower = steadier
+ *   beta      - how fast the cutoff rises with speed (normalized units/s), higher = less lag
+ *   dCutoff   - Hz used to smooth the speed estimate itself
+ */
+
+export const DEFAULT_FILTER_PARAMS = {
+    minCutoff: 1.0,
+    beta: 10,
+    dCutoff: 1.0
+};
+
+function smoothingFactor(dt, cutoff) {
+    const r = 2 * Math.PI * cutoff * dt;
+    return r / (r + 1);
+}
+
+export class OneEuroFilter {
+    constructor(params = DEFAULT_FILTER_PARAMS) {
+        this.params = params;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.speed = 0;
+        this.lastTime = null;
+    }
+
+    // timestamp in ms
+    filter(value, timestamp) {
+        if (this.value === null) {
+            this.value = value;
+            this.lastTime = timestamp;
+            return value;
+        }
+
+        const dt = (timestamp - this.lastTime) / 1000;
+        this.lastTime = timestamp;
+        if (dt <= 0) return this.value;
+
+        const { minCutoff, beta, dCutoff } = this.params;
+        const rawSpeed = (value - this.value) / dt;
+        this.speed += (rawSpeed - this.speed) * smoothingFactor(dt, dCutoff);
+
+        const cutoff = minCutoff + beta * Math.abs(this.speed);
+        this.value += (value - this.value) * smoothingFactor(dt, cutoff);
+        return this.value;
+    }
+}
+
+const AXES = ['x', 'y', 'z'];
+
+// One filter per hand, landmark and axis
+export class LandmarkFilter {
+    constructor(params = DEFAULT_FILTER_PARAMS) {
+        this.params = { ...params };
+        this.filters = { left: null, right: null };
+    }
+
+    setParams(params) {
+        // Filters share this object, so new values apply on the next sample
+        Object.assign(this.params, params);
+    }
+
+    reset(side) {
+        this.filters[side] = null;
+    }
+
+    filterHand(side, landmarks, timestamp) {
+        if (!this.filters[side]) {
+            this.filters[side] = landmarks.map(() => AXES.map(() => new OneEuroFilter(this.params)));
+        }
+
+        const filters = this.filters[side];
+        return landmarks.map((point, i) => ({
+            x: filters[i][0].filter(point.x, timestamp),
+            y: filters[i][1].filter(point.y, timestamp),
+            z: filters[i][2].filter(point.z || 0, timestamp)
+        }));
+    }
+}
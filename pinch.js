@@ -0,0 +1,69 @@
+/**
+ * Pinch Estimator - one pinch metric shared by every app
+ * The thumb-index gap is measured in 3D and divided by palm size, so leaning back or forward
+ * doesn't change it. Strength maps the gap onto the user's calibrated open..pinched range.
+ */
+
+import { DEFAULT_PROFILE } from './calibration.js';
+
+const WRIST = 0;
+const THUMB_TIP = 4;
+const INDEX_MCP = 5;
+const INDEX_TIP = 8;
+const MIDDLE_MCP = 9;
+const PINKY_MCP = 17;
+
+const MIN_PALM_SIZE = 0.06; // Palms smaller than this (share of image height) are too far for a reliable reading
+
+// Grabs need at least this much confidence; uncertain frames keep whatever state the hand was in
+export const PINCH_MIN_CONFIDENCE = 0.4;
+
+export class PinchEstimator {
+    // aspect = video width / height, landmarks are normalized per axis so x and z need rescaling
+    constructor(profile = DEFAULT_PROFILE, { aspect = 1 } = {}) {
+        this.profile = profile;
+        this.aspect = aspect;
+    }
+
+    setProfile(profile) {
+        this.profile = profile;
+    }
+
+    // Distance in image-height units, z shares x's scale in MediaPipe output
+    distance(a, b) {
+        const dx = (a.x - b.x) * this.aspect;
+        const dy = a.y - b.y;
+        const dz = ((a.z || 0) - (b.z || 0)) * this.aspect;
+        return { length: Math.sqrt(dx * dx + dy * dy + dz * dz), dz };
+    }
+
+    // Longest wrist-to-knuckle span - the others shrink when the palm turns sideways
+    palmSize(landmarks) {
+        return Math.max(
+            this.distance(landmarks[WRIST], landmarks[INDEX_MCP]).length,
+            this.distance(landmarks[WRIST], landmarks[MIDDLE_MCP]).length,
+            this.distance(landmarks[WRIST], landmarks[PINKY_MCP]).length
+        );
+    }
+
+    // score is the detector's handedness score (0-1)
+    estimate(landmarks, score = 1) {
+        const palm = Math.max(this.palmSize(landmarks), 1e-6);
+        const gap = this.distance(landmarks[THUMB_TIP], landmarks[INDEX_TIP]);
+        const ratio = gap.length / palm;
+
+        const { openRatio, pinchedRatio } = this.profile;
+        const strength = 1 - (ratio - pinchedRatio) / (openRatio - pinchedRatio);
+
+        // Depth is the noisiest axis - the more of the gap it accounts for, the less we trust it
+        const depthShare = gap.length > 0 ? (gap.dz * gap.dz) / (gap.length * gap.length) : 0;
+        const sizeFactor = Math.min(palm / MIN_PALM_SIZE, 1);
+        const confidence = score * sizeFactor * (1 - depthShare * 0.5);
+
+        return {
+            ratio,
+            strength: Math.max(0, Math.min(1, strength)),
+            confidence
+        };
+    }
+}
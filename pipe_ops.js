@@ -0,0 +1,115 @@
+/**
+ * Pipe Operations - what the Spatial Shell's hand bridge runs on the selected entries
+ * Inputs are VFS paths in selection order, SOURCE zone first (only the SOURCE ones for sourceOnly
+ * operations); results go into outDir, the BUFFER zone's directory, under a name that isn't taken
+ * yet. Operations are async because file contents may have to come from the backend first;
+ * failures reject with the VFSError of the entry that failed.
+ *   run(vfs, inputs, outDir, { pattern, onProgress(done, total) }) -> { paths, summary }
+ */
+
+import { VFSError, VFS_ERRORS, joinPath, basename } from './vfs.js';
+
+// First name in dir not taken yet: name, then name-2, name-3 ... before the extension
+function freeName(vfs, dir, name) {
+    const dot = name.lastIndexOf('.');
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+    const extension = dot > 0 ? name.slice(dot) : '';
+    let candidate = name;
+    for (let i = 2; vfs.exists(joinPath(dir, candidate)); i++) candidate = `${stem}-${i}${extension}`;
+    return candidate;
+}
+
+function splitLines(text) {
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+async function readAll(vfs, inputs, onProgress) {
+    const texts = [];
+    for (const path of inputs) {
+        texts.push(await vfs.read(path));
+        onProgress(texts.length, inputs.length);
+    }
+    return texts;
+}
+
+function writeResult(vfs, outDir, name, lines) {
+    return vfs.writeFile(joinPath(outDir, freeName(vfs, outDir, name)), lines.map(line => `${line}\n`).join(''));
+}
+
+// Bytes under path, directories added up like du
+function diskUsage(vfs, path) {
+    const entry = vfs.stat(path);
+    if (entry.type !== 'dir') return entry.size;
+    return vfs.list(path).reduce((total, child) => total + diskUsage(vfs, child.path), 0);
+}
+
+// Copies keep their names - only the output files of the other operations are renamed. Every name is
+// checked first, so a clash copies nothing rather than half the selection
+async function copyEntries(vfs, inputs, outDir, { onProgress }) {
+    const names = new Set();
+    inputs.forEach(path => {
+        const target = joinPath(outDir, basename(path));
+        if (names.has(target) || vfs.exists(target)) throw new VFSError(VFS_ERRORS.EXISTS, target);
+        names.add(target);
+    });
+    
+    const paths = [];
+    for (const path of inputs) {
+        paths.push(vfs.copy(path, outDir));
+        onProgress(paths.length, inputs.length);
+    }
+    return { paths, summary: `CP ${inputs.length} → ${outDir}` };
+}
+
+async function concat(vfs, inputs, outDir, { onProgress }) {
+    const texts = await readAll(vfs, inputs, onProgress);
+    const path = writeResult(vfs, outDir, 'concat.txt', texts.flatMap(splitLines));
+    return { paths: [path], summary: `CAT ${inputs.length} → ${path}` };
+}
+
+// Case-insensitive substring match, each line prefixed with its file like grep over several files
+async function grep(vfs, inputs, outDir, { pattern, onProgress }) {
+    const texts = await readAll(vfs, inputs, onProgress);
+    const needle = pattern.toLowerCase();
+    const matches = [];
+    texts.forEach((text, i) => {
+        splitLines(text).forEach(line => {
+            if (line.toLowerCase().includes(needle)) matches.push(`${basename(inputs[i])}:${line}`);
+        });
+    });
+    const name = `grep-${pattern.replace(/[^\w.-]/g, '_') || 'all'}.txt`;
+    const path = writeResult(vfs, outDir, name, matches);
+    return { paths: [path], summary: `GREP ${pattern} ${matches.length} lines → ${path}` };
+}
+
+async function sort(vfs, inputs, outDir, { onProgress }) {
+    const texts = await readAll(vfs, inputs, onProgress);
+    const lines = texts.flatMap(splitLines).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const path = writeResult(vfs, outDir, 'sorted.txt', lines);
+    return { paths: [path], summary: `SORT ${lines.length} lines → ${path}` };
+}
+
+async function sizeSummary(vfs, inputs, outDir, { onProgress }) {
+    const lines = [];
+    let total = 0;
+    inputs.forEach((path, i) => {
+        const bytes = diskUsage(vfs, path);
+        total += bytes;
+        lines.push(`${bytes}\t${path}`);
+        onProgress(i + 1, inputs.length);
+    });
+    lines.push(`${total}\ttotal`);
+    const path = writeResult(vfs, outDir, 'sizes.txt', lines);
+    return { paths: [path], summary: `DU ${total} bytes → ${path}` };
+}
+
+// In the order the bridge cycles through them
+export const PIPE_OPERATIONS = [
+    { id: 'copy', label: 'CP', sourceOnly: true, run: copyEntries },
+    { id: 'cat', label: 'CAT', run: concat },
+    { id: 'grep', label: 'GREP', run: grep },
+    { id: 'sort', label: 'SORT', run: sort },
+    { id: 'du', label: 'DU', run: sizeSummary }
+];
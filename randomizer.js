@@ -0,0 +1,77 @@
+/**
+ * Piece Randomizers - seedable generators for the Tetris piece sequence
+ * 7-bag deals every type once per bag (no droughts), uniform is the classic independent pick
+ */
+
+export const GENERATOR_MODES = {
+    BAG: 'bag',
+    UNIFORM: 'uniform'
+};
+
+// Strings are hashed so seeds can come straight from a URL or a shared code
+function hashSeed(seed) {
+    if (typeof seed === 'number') return seed >>> 0;
+
+    let h = 2166136261;
+    const str = String(seed);
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+// Mulberry32 - small, fast and good enough for piece order
+export function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export class UniformGenerator {
+    constructor(types, random = Math.random) {
+        this.types = types;
+        this.random = random;
+    }
+
+    next() {
+        return this.types[Math.floor(this.random() * this.types.length)];
+    }
+}
+
+export class BagGenerator {
+    constructor(types, random = Math.random) {
+        this.types = types;
+        this.random = random;
+        this.bag = [];
+    }
+
+    next() {
+        if (this.bag.length === 0) {
+            this.bag = this.shuffle([...this.types]);
+        }
+        return this.bag.shift();
+    }
+
+    shuffle(items) {
+        // Fisher-Yates
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+}
+
+// random is any () => [0, 1) source - Math.random, createSeededRandom(seed) or an injected test rng
+export function createGenerator(mode, types, random = Math.random) {
+    if (mode === GENERATOR_MODES.UNIFORM) {
+        return new UniformGenerator(types, random);
+    }
+    return new BagGenerator(types, random);
+}
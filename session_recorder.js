@@ -0,0 +1,103 @@
+/**
+ * Session Recorder - capture recognizer results to NDJSON and load them back for replay
+ * Format: first line is a header ({ type: 'header', ... }), then one { timestamp, results } per line.
+ * Plain JSON arrays of entries (or { header, entries }) are accepted too, for hand-written fixtures.
+ */
+
+export const SESSION_FORMAT_VERSION = 1;
+
+// Keep only the serializable parts of a GestureRecognizer result - also what the inference worker posts back
+export function serializeResults(results) {
+    const categories = (list) => (list || []).map(hand => hand.map(c => ({
+        categoryName: c.categoryName,
+        score: c.score,
+        index: c.index
+    })));
+
+    return {
+        landmarks: (results.landmarks || []).map(hand => hand.map(p => ({ x: p.x, y: p.y, z: p.z }))),
+        handednesses: categories(results.handednesses || results.handedness),
+        gestures: categories(results.gestures)
+    };
+}
+
+export class SessionRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.header = null;
+        this.entries = [];
+    }
+
+    // meta is stored in the header - seed, canvas size, anything needed to reproduce the run
+    start(meta = {}) {
+        this.isRecording = true;
+        this.entries = [];
+        this.header = {
+            type: 'header',
+            version: SESSION_FORMAT_VERSION,
+            recordedAt: new Date().toISOString(),
+            ...meta
+        };
+    }
+
+    record(timestamp, results) {
+        if (!this.isRecording) return;
+        this.entries.push({ timestamp, results: serializeResults(results) });
+    }
+
+    stop() {
+        this.isRecording = false;
+        return { header: this.header, entries: this.entries };
+    }
+
+    toNDJSON() {
+        return [this.header, ...this.entries].map(line => JSON.stringify(line)).join('\n') + '\n';
+    }
+
+    download(filename = `session-${Date.now()}.ndjson`) {
+        const blob = new Blob([this.toNDJSON()], { type: 'application/x-ndjson' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
+
+export function parseSession(text) {
+    const trimmed = text.trim();
+    if (!trimmed) throw new Error('Empty session file');
+
+    let header = null;
+    let entries;
+
+    if (trimmed.startsWith('[')) {
+        entries = JSON.parse(trimmed);
+    } else if (trimmed.startsWith('{') && !trimmed.includes('\n')) {
+        const data = JSON.parse(trimmed);
+        header = data.header || null;
+        entries = data.entries || [];
+    } else {
+        // NDJSON
+        entries = [];
+        trimmed.split('\n').forEach((line, i) => {
+            if (!line.trim()) return;
+            let data;
+            try {
+                data = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Session line ${i + 1}: ${error.message}`);
+            }
+            if (data.type === 'header') {
+                header = data;
+            } else {
+                entries.push(data);
+            }
+        });
+    }
+
+    entries = entries.filter(e => typeof e.timestamp === 'number' && e.results);
+    entries.sort((a, b) => a.timestamp - b.timestamp);
+    return { header, entries };
+}
@@ -0,0 +1,82 @@
+/**
+ * Settings - player preferences persisted in localStorage
+ * Includes the control mapping (hand roles, rotation method, release behaviour) and camera options
+ * edited in the settings panel.
+ */
+
+import { RELEASE_BEHAVIOURS } from './tetris_core.js';
+import { HAND_SIDES } from './hand_input.js';
+import { RESOLUTIONS, FRAME_RATES, MIRROR_MODES, DEFAULT_CAMERA_OPTIONS } from './camera.js';
+
+const STORAGE_KEY = 'hand-tracking-ar.settings';
+
+export const ROTATION_METHODS = {
+    CIRCLE: 'circle', // Circle the pinched hand around the piece
+    TWIST: 'twist' // Turn the wrist 45° past the grab angle per quarter turn
+};
+
+export const DEFAULT_SETTINGS = {
+    showGhost: true, // Landing outline in the play zone
+    lockDelay: 500, // ms a grounded piece can still slide
+    lockResetLimit: 15, // Moves/rotations that may restart the lock delay
+    softDropGesture: true, // Pull the pinched hand down to soft drop
+    releaseBehaviour: RELEASE_BEHAVIOURS.HARD_DROP,
+    moveHand: 'left', // Two-handed play: this hand slides the piece, the other one rotates
+    rotationMethod: ROTATION_METHODS.CIRCLE,
+    cameraDeviceId: DEFAULT_CAMERA_OPTIONS.deviceId, // Picked from the device list in the panel
+    cameraResolution: DEFAULT_CAMERA_OPTIONS.resolution,
+    cameraFrameRate: DEFAULT_CAMERA_OPTIONS.frameRate,
+    cameraMirror: DEFAULT_CAMERA_OPTIONS.mirror
+};
+
+// What the settings panel shows, in order - fields with options are dropdowns, booleans checkboxes
+export const SETTINGS_FIELDS = [
+    { key: 'moveHand', label: 'Move hand', options: HAND_SIDES },
+    { key: 'rotationMethod', label: 'Rotation', options: Object.values(ROTATION_METHODS) },
+    { key: 'releaseBehaviour', label: 'Release in play zone', options: Object.values(RELEASE_BEHAVIOURS) },
+    { key: 'softDropGesture', label: 'Pull down to soft drop', type: 'boolean' },
+    { key: 'showGhost', label: 'Ghost piece', type: 'boolean' },
+    { key: 'cameraResolution', label: 'Camera resolution', options: Object.keys(RESOLUTIONS) },
+    { key: 'cameraFrameRate', label: 'Camera frame rate', options: FRAME_RATES },
+    { key: 'cameraMirror', label: 'Mirror camera', options: Object.values(MIRROR_MODES) }
+];
+
+// Settings -> CameraManager options
+export function getCameraOptions(settings) {
+    return {
+        deviceId: settings.cameraDeviceId,
+        resolution: settings.cameraResolution,
+        frameRate: settings.cameraFrameRate,
+        mirror: settings.cameraMirror
+    };
+}
+
+// The hand that isn't moving rotates
+export function getHandRoles(settings) {
+    const rotateHand = settings.moveHand === 'left' ? 'right' : 'left';
+    return { [settings.moveHand]: 'move', [rotateHand]: 'rotate' };
+}
+
+export function loadSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        const settings = { ...DEFAULT_SETTINGS, ...stored };
+        // Values from an older build fall back to the default instead of breaking the mapping
+        SETTINGS_FIELDS.forEach(({ key, options }) => {
+            if (options && !options.includes(settings[key])) settings[key] = DEFAULT_SETTINGS[key];
+        });
+        return settings;
+    } catch (error) {
+        console.warn('Settings unreadable, using defaults', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+export function saveSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        // Private mode / quota - settings just won't survive a reload
+        console.warn('Settings not saved', error);
+    }
+}
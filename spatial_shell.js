@@ -1,7 +1,23 @@
 /**
- * Spatial Shell - Core Logic & Data Structures
+ * Spatial Shell - Core Logic, Data Structures & Rendering
+ * A view over a VirtualFS (vfs.js): nodes are cards for directory entries, centered on their x / y.
+ * Two zones side by side like a two-pane file manager, SOURCE (left hand) and BUFFER (right hand),
+ * each browsing its own directory. A quick pinch on a folder opens it, on '..' goes up. Dropping a
+ * node onto a folder or '..' moves the entry there, across the middle into the other zone's directory.
+ * A tap on a file (or a held pinch on a folder) selects it; joining both index fingertips and holding
+ * them together runs the chosen pipe operation (pipe_ops.js) on the selection into the BUFFER directory.
  */
 
+import { DEFAULT_PINCH_THRESHOLDS } from './calibration.js';
+import { PINCH_MIN_CONFIDENCE } from './pinch.js';
+import { DEFAULT_FILTER_PARAMS } from './one_euro.js';
+import { GESTURES } from './gestures.js';
+import { toScreenX } from './hand_input.js';
+import { VirtualFS, VFSError, dirname, basename, splitPath } from './vfs.js';
+import { SEVERITY } from './notifications.js';
+import { MOCK_TREE } from './fs_backends.js';
+import { PIPE_OPERATIONS } from './pipe_ops.js';
+
 export const INTERACTION_STATES = {
     IDLE: 'IDLE',
     TARGETING: 'TARGETING',
@@ -14,134 +30,211 @@ export const ZONES = {
     BUFFER: 'BUFFER'
 };
 
+// Which zone each hand works in
+const ZONE_SIDES = {
+    left: ZONES.SOURCE,
+    right: ZONES.BUFFER
+};
+
+export const SHELL_ACTIONS = {
+    REFRESH: 'refresh',
+    UNDO: 'undo',
+    SOURCE_UP: 'sourceUp',
+    BUFFER_UP: 'bufferUp',
+    NEXT_PIPE: 'nextPipe'
+};
+
+export const PIPE_STATES = {
+    RUNNING: 'RUNNING',
+    DONE: 'DONE',
+    FAILED: 'FAILED'
+};
+
+export const SHELL_GESTURE_BINDINGS = [
+    { gesture: GESTURES.VICTORY, action: SHELL_ACTIONS.REFRESH, holdTime: 500 },
+    { gesture: GESTURES.SWIPE_LEFT, action: SHELL_ACTIONS.UNDO, holdTime: 0 },
+    // Thumb down goes up a directory in that hand's zone
+    { gesture: GESTURES.THUMB_DOWN, hand: 'left', action: SHELL_ACTIONS.SOURCE_UP, holdTime: 500 },
+    { gesture: GESTURES.THUMB_DOWN, hand: 'right', action: SHELL_ACTIONS.BUFFER_UP, holdTime: 500 },
+    { gesture: GESTURES.THUMB_UP, action: SHELL_ACTIONS.NEXT_PIPE, holdTime: 500 }
+];
+
+const PARENT_TYPE = 'parent'; // The '..' node on top of a zone below the root
+const TAP_TIME = 350; // A pinch let go this soon (ms) ...
+const TAP_DISTANCE = 20; // ... and this close (px) to where it started is a tap, not a drag
+const PRESS_TIME = 700; // Held in place this long (ms) selects instead - folders open on a tap
+
+const NODE_WIDTH = 160;
+const NODE_HEIGHT = 44;
+const BRIDGE_DISTANCE = 0.08; // Index tips this close (image space) join the hands into a pipe
+const BRIDGE_RELEASE_DISTANCE = 0.12; // ... and stay joined until they are this far apart
+const BRIDGE_HINT_DISTANCE = 0.25; // Closer than this the bridge is drawn as forming
+const BRIDGE_GRACE = 150; // ms a hand may drop out without breaking the bridge
+const PIPE_ARM_TIME = 400; // ms joined before the bridge shows what it will run
+const PIPE_CONFIRM_TIME = 1400; // ms joined until it runs - parting earlier cancels
+const PIPE_RESULT_TIME = 3000; // ms a finished operation stays on screen
+
+function formatSize(bytes) {
+    if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)}M`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)}K`;
+    return `${bytes}B`;
+}
+
 export class SpatialShell {
-    constructor() {
-        this.fileSystem = this._initializeMockFS();
+    constructor(vfs = new VirtualFS(MOCK_TREE)) {
+        this.vfs = vfs;
         this.interactionState = {
             left: { state: INTERACTION_STATES.IDLE, target: null, grabPos: null, grabOffset: null },
             right: { state: INTERACTION_STATES.IDLE, target: null, grabPos: null, grabOffset: null }
         };
-        this.nodes = this._flattenFS(this.fileSystem);
+        this.pinchThresholds = { ...DEFAULT_PINCH_THRESHOLDS }; // Pinch ratios, see calibration.js
+        this.filterParams = { ...DEFAULT_FILTER_PARAMS, minCutoff: 0.8, beta: 8 }; // Steadier - nodes are read while held
+        this.mirrored = true; // Camera image shown mirrored, follows the hand source
         this.activeNodes = { left: [], right: [] }; // Nodes currently visible in each zone
-        this._populateInitialZones();
+        this.cwd = { left: '/', right: '/' }; // Directory each zone shows
+        this.history = []; // Drops that can be undone, newest last
+        this.gestureBindings = SHELL_GESTURE_BINDINGS;
+        this.handBridgeActive = false; // Index tips joined, with BRIDGE_RELEASE_DISTANCE hysteresis
+        this.bridge = null; // { left, right, dist } index tips on screen while both hands are in view
+        this.bridgeStart = 0; // When the tips joined
+        this.bridgeSeen = 0; // Last frame they were joined, for BRIDGE_GRACE
+        this.bridgeHeld = 0; // ms joined so far
+        this.bridgeSpent = false; // Ran (or refused) this bridge - the hands have to part first
+        this.selection = { left: [], right: [] }; // Selected paths per zone, in the order they were picked
+        this.pipeIndex = 0; // Into PIPE_OPERATIONS
+        this.grepPattern = 'error';
+        this.pipeJob = null; // { label, total, done, state, message, until } of the running or last operation
+        this.width = 0; // Canvas width from the last update - the zones are laid out against it
+        this._syncZones();
     }
 
-    _initializeMockFS() {
+    // View node for a VFS entry - position and grab state live here, the entry itself in the VFS
+    _createNode(entry) {
         return {
-            name: '/',
-            type: 'dir',
-            permissions: 'drwxr-xr-x',
-            children: [
-                {
-                    name: 'sys',
-                    type: 'dir',
-                    permissions: 'dr-xr-xr-x',
-                    children: [
-                        { name: 'kernel.bin', type: 'file', size: 1048576, permissions: '-r--------' },
-                        { name: 'config.sys', type: 'file', size: 4096, permissions: '-rw-r--r--' }
-                    ]
-                },
-                {
-                    name: 'usr',
-                    type: 'dir',
-                    permissions: 'drwxr-xr-x',
-                    children: [
-                        { name: 'bin', type: 'dir', permissions: 'drwxr-xr-x', children: [] },
-                        { name: 'local', type: 'dir', permissions: 'drwxr-xr-x', children: [] }
-                    ]
-                },
-                {
-                    name: 'data',
-                    type: 'dir',
-                    permissions: 'drwxrwxrwx',
-                    children: [
-                        { name: 'logs_alpha.log', type: 'file', size: 524288, permissions: '-rw-------' },
-                        { name: 'sensor_stream.io', type: 'file', size: 128, permissions: '-rw-rw-rw-' },
-                        { name: 'network_dump.pcap', type: 'file', size: 20971520, permissions: '-r--------' }
-                    ]
-                },
-                { name: 'readme.txt', type: 'file', size: 256, permissions: '-rw-r--r--' }
-            ]
-        };
-    }
-
-    _flattenFS(node, path = '') {
-        let results = [];
-        // Fix: Ensure root is '/' and children follow a standard /path/name pattern
-        const isRoot = node.name === '/';
-        const fullPath = isRoot ? '/' : (path === '/' ? '' : path) + '/' + node.name;
-        
-        results.push({
             id: Math.random().toString(36).substring(2, 11),
-            name: node.name,
-            type: node.type,
-            path: fullPath,
-            permissions: node.permissions,
-            size: node.size || 0,
+            name: entry.name,
+            type: entry.type,
+            path: entry.path,
+            permissions: entry.permissions,
+            size: entry.size,
             x: 0, y: 0,
             targetX: 0, targetY: 0,
             isGrabbed: false,
-            nestedCount: 0
-        });
+            nestedCount: entry.childCount
+        };
+    }
 
-        if (node.children) {
-            node.children.forEach(child => {
-                results = results.concat(this._flattenFS(child, fullPath));
-            });
-        }
-        return results;
+    _placeNode(node, side, i) {
+        node.x = node.targetX = side === 'left' ? 120 : this.width - 260;
+        node.y = node.targetY = 180 + (i * 70);
+        return node;
     }
 
-    _populateInitialZones() {
-        // Correctly find children of the root directory
-        const rootChildren = this.nodes.filter(n => {
-            const parts = n.path.split('/').filter(p => p.length > 0);
-            return parts.length === 1; // Direct children of root
+    _syncZones() {
+        this._syncZone('left');
+        this._syncZone('right');
+    }
+
+    _pruneSelection() {
+        ['left', 'right'].forEach(side => {
+            this.selection[side] = this.selection[side].filter(path => this.vfs.exists(path));
         });
+    }
 
-        rootChildren.forEach((node, i) => {
-            node.x = 120;
-            node.y = 180 + (i * 70);
-            node.targetX = node.x;
-            node.targetY = node.y;
-            this.activeNodes.left.push(node);
+    // Re-lists a zone's directory - nodes still listed keep their place, new ones take their slot
+    _syncZone(side) {
+        const cwd = this._existingDir(this.cwd[side]);
+        this.cwd[side] = cwd;
+        this._pruneSelection();
+        
+        let entries = [];
+        try {
+            entries = this.vfs.list(cwd);
+        } catch (error) {
+            if (!(error instanceof VFSError)) throw error;
+            if (window.addLog) window.addLog(`LIST_FAILED: ${error.message}`, SEVERITY.WARNING);
+        }
+        if (cwd !== '/') {
+            entries.unshift({ name: '..', type: PARENT_TYPE, path: dirname(cwd), permissions: '', size: 0, childCount: 0 });
+        }
+        
+        const known = new Map(this.activeNodes[side].map(node => [node.path, node]));
+        this.activeNodes[side] = entries.map((entry, i) => {
+            const node = known.get(entry.path);
+            if (!node || node.type !== entry.type) return this._placeNode(this._createNode(entry), side, i);
+            node.permissions = entry.permissions;
+            node.size = entry.size;
+            node.nestedCount = entry.childCount;
+            return node;
         });
     }
 
-    update(hands, pinchDistances, w, h) {
+    // A zone's directory can be moved away from under it (by the other zone) - fall back to what's left
+    _existingDir(path) {
+        let dir = path;
+        while (dir !== '/' && !this.vfs.exists(dir)) dir = dirname(dir);
+        return dir;
+    }
+
+    // Opens a directory in one zone, if it can be listed
+    navigate(side, path) {
+        try {
+            this.vfs.list(path);
+        } catch (error) {
+            if (!(error instanceof VFSError)) throw error;
+            if (window.addLog) window.addLog(`OPEN_FAILED: ${error.message}`, SEVERITY.WARNING);
+            return false;
+        }
+        this.cwd[side] = path;
+        this.activeNodes[side] = [];
+        this._syncZone(side);
+        if (window.addLog) window.addLog(`CD ${ZONE_SIDES[side]}: ${path}`);
+        return true;
+    }
+
+    navigateUp(side) {
+        if (this.cwd[side] === '/') return false;
+        return this.navigate(side, dirname(this.cwd[side]));
+    }
+
+    // '/' › 'usr' › 'local'
+    breadcrumb(side) {
+        return ['/', ...splitPath(this.cwd[side])].join(' › ');
+    }
+
+    // hands: { left, right } hand frames from hand_input.js, null without input
+    update(currentTime, hands, w, h) {
+        if (!hands) hands = { left: null, right: null };
+        if (w !== this.width) {
+            this.width = w;
+            this._stackZones();
+        }
+        
         ['left', 'right'].forEach(side => {
             const hand = hands[side];
-            const dist = pinchDistances[side];
             const interaction = this.interactionState[side];
 
             if (!hand) {
+                // Lost mid-drag - the node stays where the hand left it
+                if (interaction.target) interaction.target.isGrabbed = false;
                 interaction.state = INTERACTION_STATES.IDLE;
                 interaction.target = null;
                 return;
             }
 
+            const pinch = hand.pinch;
             const thumb = hand.landmarks[4];
             const index = hand.landmarks[8];
-            const rawMidX = (1 - (thumb.x + index.x) / 2) * w;
+            const rawMidX = toScreenX((thumb.x + index.x) / 2, w, this.mirrored);
             const rawMidY = ((thumb.y + index.y) / 2) * h;
 
-            // Smooth hand position to reduce jitter
-            if (!interaction.smoothedPos) {
-                interaction.smoothedPos = { x: rawMidX, y: rawMidY };
-            }
-            const smoothFactor = 0.25; // Lower = smoother movement
-            interaction.smoothedPos.x += (rawMidX - interaction.smoothedPos.x) * smoothFactor;
-            interaction.smoothedPos.y += (rawMidY - interaction.smoothedPos.y) * smoothFactor;
-            
-            const midX = interaction.smoothedPos.x;
-            const midY = interaction.smoothedPos.y;
-
-            // Hysteresis: easier to grab (0.08), harder to release (0.12)
-            const GRAB_THRESHOLD = 0.08;  // Pinch closer than this to grab
-            const RELEASE_THRESHOLD = 0.12; // Must spread wider than this to release
-            
-            const canGrab = dist < GRAB_THRESHOLD;
-            const shouldRelease = dist > RELEASE_THRESHOLD;
+            // Landmarks arrive One-Euro filtered from HandInput
+            const midX = rawMidX;
+            const midY = rawMidY;
+
+            // Hysteresis: easier to grab, harder to release
+            const canGrab = pinch.ratio < this.pinchThresholds.grab && pinch.confidence >= PINCH_MIN_CONFIDENCE;
+            const shouldRelease = pinch.ratio > this.pinchThresholds.release;
 
             if (interaction.state === INTERACTION_STATES.IDLE || interaction.state === INTERACTION_STATES.TARGETING) {
                 // Find nearest node - large radius for easy targeting from far away
@@ -164,7 +257,11 @@ export class SpatialShell {
                         y: interaction.target.y - midY 
                     };
                     interaction.grabPos = { x: midX, y: midY };
+                    interaction.grabTime = currentTime;
+                    interaction.travelled = false;
+                    interaction.heldInPlace = 0;
                 }
+                interaction.handPos = { x: midX, y: midY };
             } else if (interaction.state === INTERACTION_STATES.GRABBING || interaction.state === INTERACTION_STATES.DRAGGING) {
                 if (shouldRelease) {
                     const node = interaction.target;
@@ -175,14 +272,23 @@ export class SpatialShell {
                         node.y = node.targetY;
                     }
                     
-                    // Check for zone transfer
-                    this._handleDrop(side, midX, midY);
+                    // A quick pinch in place is a tap, a long one a press, anything that travelled a drop
+                    const held = this._heldInPlace(interaction, currentTime, midX, midY);
+                    if (held !== null && held < TAP_TIME) {
+                        this._handleTap(side);
+                    } else if (held !== null && held >= PRESS_TIME) {
+                        this._handlePress(side);
+                    } else {
+                        this._handleDrop(side, midX, midY);
+                    }
                     
                     interaction.state = INTERACTION_STATES.IDLE;
                     interaction.target = null;
                     interaction.grabOffset = null;
                 } else {
                     interaction.state = INTERACTION_STATES.DRAGGING;
+                    interaction.handPos = { x: midX, y: midY };
+                    interaction.heldInPlace = this._heldInPlace(interaction, currentTime, midX, midY);
                     // Move node with hand, maintaining grab offset
                     if (interaction.target && interaction.grabOffset) {
                         interaction.target.targetX = midX + interaction.grabOffset.x;
@@ -193,40 +299,60 @@ export class SpatialShell {
         });
 
         // Hand-to-Hand Bridge Detection
-        this.handBridgeActive = false;
+        this.bridge = null;
+        let joined = false;
         if (hands.left && hands.right) {
             const lIdx = hands.left.landmarks[8];
             const rIdx = hands.right.landmarks[8];
             const dx = lIdx.x - rIdx.x;
             const dy = lIdx.y - rIdx.y;
             const dist = Math.sqrt(dx * dx + dy * dy);
-            
-            if (dist < 0.08) {
-                this.handBridgeActive = true;
-                this._executePipeOperation();
-            }
+            this.bridge = {
+                left: { x: toScreenX(lIdx.x, w, this.mirrored), y: lIdx.y * h },
+                right: { x: toScreenX(rIdx.x, w, this.mirrored), y: rIdx.y * h },
+                dist
+            };
+            joined = dist < (this.handBridgeActive ? BRIDGE_RELEASE_DISTANCE : BRIDGE_DISTANCE);
         }
+        this._updateBridge(currentTime, joined);
+        this._updatePipeJob(currentTime);
 
-        // Smoothly animate grabbed nodes only
-        this.nodes.forEach(node => {
+        // Grabbed nodes follow the (already filtered) hand 1:1
+        [...this.activeNodes.left, ...this.activeNodes.right].forEach(node => {
             if (node.isGrabbed) {
-                // Distance-based easing - faster when far, slower when close
-                const dx = node.targetX - node.x;
-                const dy = node.targetY - node.y;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-                
-                // Adaptive lerp: faster for big distances, smoother for small
-                const baseLerp = 0.15;
-                const distanceFactor = Math.min(dist / 100, 1); // Cap at 1
-                const lerpFactor = baseLerp + distanceFactor * 0.2; // 0.15 to 0.35
-                
-                node.x += dx * lerpFactor;
-                node.y += dy * lerpFactor;
+                node.x = node.targetX;
+                node.y = node.targetY;
             }
             // Non-grabbed nodes stay exactly where they are
         });
     }
 
+    setPinchThresholds(thresholds) {
+        this.pinchThresholds = { ...thresholds };
+    }
+
+    setMirrored(mirrored) {
+        this.mirrored = mirrored;
+    }
+
+    // App host hook - anything still held goes back to where it was picked up
+    deactivate() {
+        this.releaseAllGrabs();
+    }
+
+    releaseAllGrabs() {
+        ['left', 'right'].forEach(side => {
+            const interaction = this.interactionState[side];
+            if (interaction.target && interaction.grabOffset) {
+                interaction.target.isGrabbed = false;
+                this._returnToOrigin(interaction);
+            }
+            interaction.state = INTERACTION_STATES.IDLE;
+            interaction.target = null;
+            interaction.grabOffset = null;
+        });
+    }
+
     _findNearestNode(x, y, side) {
         let nearest = null;
         let minDist = Infinity;
@@ -246,63 +372,511 @@ export class SpatialShell {
         return nearest ? { node: nearest, dist: minDist } : null;
     }
 
+    // Where the held node was picked up
+    _origin(interaction) {
+        return {
+            x: interaction.grabPos.x + interaction.grabOffset.x,
+            y: interaction.grabPos.y + interaction.grabOffset.y
+        };
+    }
+
+    _returnToOrigin(interaction) {
+        const origin = this._origin(interaction);
+        interaction.target.x = interaction.target.targetX = origin.x;
+        interaction.target.y = interaction.target.targetY = origin.y;
+    }
+
+    // ms the pinch has been held - null once it travelled further than a tap may
+    _heldInPlace(interaction, currentTime, x, y) {
+        const dx = x - interaction.grabPos.x;
+        const dy = y - interaction.grabPos.y;
+        if (interaction.travelled || Math.sqrt(dx * dx + dy * dy) >= TAP_DISTANCE) {
+            interaction.travelled = true;
+            return null;
+        }
+        return currentTime - interaction.grabTime;
+    }
+
+    // Folders open, files toggle their selection
+    _handleTap(side) {
+        const interaction = this.interactionState[side];
+        const node = interaction.target;
+        if (!node) return;
+        this._returnToOrigin(interaction);
+        if (node.type === 'dir' || node.type === PARENT_TYPE) {
+            this.navigate(side, node.path);
+        } else {
+            this.toggleSelected(side, node.path);
+        }
+    }
+
+    // Selects folders too
+    _handlePress(side) {
+        const interaction = this.interactionState[side];
+        const node = interaction.target;
+        if (!node) return;
+        this._returnToOrigin(interaction);
+        if (node.type !== PARENT_TYPE) this.toggleSelected(side, node.path);
+    }
+
+    toggleSelected(side, path) {
+        const selected = this.selection[side];
+        const i = selected.indexOf(path);
+        if (i >= 0) {
+            selected.splice(i, 1);
+        } else {
+            selected.push(path);
+        }
+        if (window.addLog) window.addLog(`${i >= 0 ? 'DESELECT' : 'SELECT'} ${ZONE_SIDES[side]}: ${path}`);
+    }
+
+    // Directory a drop at x, y moves the held node into - null when it only rearranges the zone
+    _dropDirectory(side, node, x, y) {
+        const folder = this._findDropFolder(side, node, x, y);
+        const zone = this._zoneAt(x);
+        const toDir = folder ? folder.path : (zone !== side ? this.cwd[zone] : null);
+        return toDir === dirname(node.path) ? null : toDir;
+    }
+
     _handleDrop(side, x, y) {
         const interaction = this.interactionState[side];
         const node = interaction.target;
         if (!node) return;
+        
+        // '..' is only a drop target; a card can't sit in the other zone without moving there
+        const toDir = node.type === PARENT_TYPE ? null : this._dropDirectory(side, node, x, y);
+        if (!toDir) {
+            if (node.type === PARENT_TYPE || this._zoneAt(x) !== side) this._returnToOrigin(interaction);
+            return;
+        }
+        
+        // Where the node was picked up, for undo
+        const origin = this._origin(interaction);
+        const from = dirname(node.path);
+        const path = this._moveEntry(node.path, toDir);
+        if (!path) {
+            // Refused - the node goes back where it was picked up
+            this._returnToOrigin(interaction);
+            return;
+        }
+        
+        this.history.push({ path, from, side, origin });
+        this._syncZones();
+        if (window.addLog) window.addLog(`MOVED: ${node.name} -> ${path}`);
+    }
+
+    // VFS move - returns the new path, failures are logged and leave everything as it was
+    _moveEntry(path, toDir) {
+        try {
+            const moved = this.vfs.move(path, toDir);
+            this._renameSelected(path, moved);
+            return moved;
+        } catch (error) {
+            if (!(error instanceof VFSError)) throw error;
+            if (window.addLog) window.addLog(`MOVE_FAILED: ${error.message}`, SEVERITY.WARNING);
+            return null;
+        }
+    }
+
+    // Selected entries follow a move - the entry itself or anything inside it
+    _renameSelected(from, to) {
+        ['left', 'right'].forEach(side => {
+            this.selection[side] = this.selection[side].map(path => {
+                if (path === from) return to;
+                return path.startsWith(`${from}/`) ? to + path.slice(from.length) : path;
+            });
+        });
+    }
 
-        // Check if dropped ONTO another node (folder)
+    _findDropFolder(side, node, x, y) {
         const zoneNodes = side === 'left' ? this.activeNodes.left : this.activeNodes.right;
-        const targetFolder = zoneNodes.find(n => 
+        return zoneNodes.find(n => 
             n !== node && 
-            n.type === 'dir' && 
+            (n.type === 'dir' || n.type === PARENT_TYPE) && 
             Math.abs(x - n.x) < 80 && 
             Math.abs(y - n.y) < 30
         );
+    }
 
-        if (targetFolder) {
-            // Move node inside the folder (logical move)
-            const sourceArray = side === 'left' ? this.activeNodes.left : this.activeNodes.right;
-            const idx = sourceArray.indexOf(node);
-            if (idx !== -1) {
-                sourceArray.splice(idx, 1);
-                targetFolder.nestedCount++;
-                if (window.addLog) window.addLog(`NESTED: ${node.name} -> ${targetFolder.name}`);
-            }
+    _zoneAt(x) {
+        return x < this.width / 2 ? 'left' : 'right';
+    }
+
+    performAction(action) {
+        switch (action) {
+            case SHELL_ACTIONS.REFRESH:
+                this.refresh();
+                return true;
+            case SHELL_ACTIONS.UNDO:
+                return this.undo();
+            case SHELL_ACTIONS.SOURCE_UP:
+                return this.navigateUp('left');
+            case SHELL_ACTIONS.BUFFER_UP:
+                return this.navigateUp('right');
+            case SHELL_ACTIONS.NEXT_PIPE:
+                this.nextPipeOperation();
+                return true;
+        }
+        return false;
+    }
+
+    // After the VFS was loaded with another tree - both zones start over at its root
+    reset() {
+        this.releaseAllGrabs();
+        this.history = [];
+        this.selection = { left: [], right: [] };
+        this.cwd = { left: '/', right: '/' };
+        this.activeNodes = { left: [], right: [] };
+        this._syncZones();
+    }
+
+    // Re-list both zones and re-stack them in order
+    refresh() {
+        this._syncZones();
+        this._stackZones();
+        if (window.addLog) window.addLog('REFRESH');
+    }
+
+    _stackZones() {
+        ['left', 'right'].forEach(side => {
+            this.activeNodes[side].forEach((node, i) => {
+                if (!node.isGrabbed) this._placeNode(node, side, i);
+            });
+        });
+    }
+
+    undo() {
+        const entry = this.history.pop();
+        if (!entry) return false;
+        const { path, from, side, origin } = entry;
+
+        const restored = this._moveEntry(path, from);
+        if (!restored) return false;
+        this._syncZones();
+        
+        // Back to where the drag started, if its zone still shows that directory
+        const node = this.activeNodes[side].find(n => n.path === restored);
+        if (node) {
+            node.x = node.targetX = origin.x;
+            node.y = node.targetY = origin.y;
+        }
+
+        if (window.addLog) window.addLog(`UNDO: ${basename(restored)}`);
+        return true;
+    }
+
+    get pipeOperation() {
+        return PIPE_OPERATIONS[this.pipeIndex];
+    }
+
+    nextPipeOperation() {
+        this.pipeIndex = (this.pipeIndex + 1) % PIPE_OPERATIONS.length;
+        if (window.addLog) window.addLog(`PIPE_OP: ${this.pipeLabel}`);
+    }
+
+    // 'GREP error' - what the bridge runs
+    get pipeLabel() {
+        const { id, label } = this.pipeOperation;
+        return id === 'grep' ? `${label} ${this.grepPattern}` : label;
+    }
+
+    // SOURCE selection first, an entry selected in both zones only once
+    get pipeInputs() {
+        if (this.pipeOperation.sourceOnly) return [...this.selection.left];
+        return [...new Set([...this.selection.left, ...this.selection.right])];
+    }
+
+    get isPipeRunning() {
+        return !!this.pipeJob && this.pipeJob.state === PIPE_STATES.RUNNING;
+    }
+
+    // Joined long enough runs the operation once; parting before that cancels, brief dropouts don't
+    _updateBridge(currentTime, joined) {
+        if (joined) {
+            this.bridgeSeen = currentTime;
+        } else if (!this.handBridgeActive || currentTime - this.bridgeSeen > BRIDGE_GRACE) {
+            this.handBridgeActive = false;
+            this.bridgeSpent = false;
+            this.bridgeHeld = 0;
+            return;
+        }
+        
+        if (!this.handBridgeActive) {
+            this.handBridgeActive = true;
+            this.bridgeStart = currentTime;
+        }
+        this.bridgeHeld = currentTime - this.bridgeStart;
+        if (this.bridgeSpent || this.bridgeHeld < PIPE_CONFIRM_TIME) return;
+        
+        this.bridgeSpent = true;
+        if (this.isPipeRunning) return;
+        if (this.pipeInputs.length === 0) {
+            if (window.addLog) window.addLog('PIPE: nothing selected', SEVERITY.WARNING);
             return;
         }
+        this.runPipe();
+    }
 
-        const midPoint = window.innerWidth / 2;
-        const newSide = x < midPoint ? 'left' : 'right';
-
-        if (newSide !== side) {
-            // Transfer between zones
-            const sourceArray = side === 'left' ? this.activeNodes.left : this.activeNodes.right;
-            const destArray = newSide === 'left' ? this.activeNodes.left : this.activeNodes.right;
-            
-            const idx = sourceArray.indexOf(node);
-            if (idx !== -1) {
-                sourceArray.splice(idx, 1);
-                destArray.push(node);
-                
-                // Snap to a decent position in the new zone if not being dragged
-                node.targetX = newSide === 'left' ? 100 : window.innerWidth - 260;
-                node.targetY = 150 + (destArray.length * 60);
-            }
+    // Finished operations stay on screen for PIPE_RESULT_TIME
+    _updatePipeJob(currentTime) {
+        const job = this.pipeJob;
+        if (!job || job.state === PIPE_STATES.RUNNING) return;
+        if (job.until === null) job.until = currentTime + PIPE_RESULT_TIME;
+        if (currentTime > job.until) this.pipeJob = null;
+    }
+
+    // Runs the chosen operation on the selection into the BUFFER zone's directory
+    async runPipe() {
+        const operation = this.pipeOperation;
+        const inputs = this.pipeInputs;
+        const outDir = this.cwd.right;
+        const job = {
+            label: this.pipeLabel,
+            total: inputs.length,
+            done: 0,
+            state: PIPE_STATES.RUNNING,
+            message: `${this.pipeLabel} ${inputs.length} → ${outDir}`,
+            until: null
+        };
+        this.pipeJob = job;
+        if (window.addLog) window.addLog(`PIPE: ${job.message}`);
+        
+        try {
+            const result = await operation.run(this.vfs, inputs, outDir, {
+                pattern: this.grepPattern,
+                onProgress: done => { job.done = done; }
+            });
+            job.state = PIPE_STATES.DONE;
+            job.message = result.summary;
+            // Only what the operation took - anything picked while it ran stays selected
+            const consumed = new Set(inputs);
+            ['left', 'right'].forEach(side => {
+                this.selection[side] = this.selection[side].filter(path => !consumed.has(path));
+            });
+            if (window.addLog) window.addLog(`PIPE_DONE: ${result.summary}`);
+        } catch (error) {
+            // Backend reads fail with their own errors, not only VFSErrors
+            console.error('Pipe operation failed', error);
+            job.state = PIPE_STATES.FAILED;
+            job.message = `${job.label}: ${error.message}`;
+            if (window.addLog) window.addLog(`PIPE_FAILED: ${job.message}`, SEVERITY.WARNING);
         }
+        this._syncZones();
+        return job.state === PIPE_STATES.DONE;
     }
 
-    _executePipeOperation() {
-        // Pipe: Align all active nodes into clean stacks
+    // Hand overlay for the app host - where a held node would land if let go now
+    describeHand(side) {
+        const interaction = this.interactionState[side];
+        const node = interaction.target;
+        if (!node) return { target: null, color: null, action: null, hint: null };
+        
+        const isParent = node.type === PARENT_TYPE;
+        const isSelected = this.selection[side].includes(node.path);
+        let action = null;
+        if (interaction.state === INTERACTION_STATES.GRABBING) {
+            if (isParent) action = 'TAP=OPEN';
+            else if (node.type === 'dir') action = 'TAP=OPEN HOLD=SELECT';
+            else action = isSelected ? 'TAP=DESELECT' : 'TAP=SELECT';
+        } else if (interaction.state === INTERACTION_STATES.DRAGGING && !isParent) {
+            const { x, y } = interaction.handPos;
+            const held = interaction.heldInPlace;
+            const toDir = this._dropDirectory(side, node, x, y);
+            action = toDir ? `MOVE → ${toDir}` : `MOVING ${node.name}`;
+            if (held !== null && held >= PRESS_TIME) action = isSelected ? 'RELEASE=DESELECT' : 'RELEASE=SELECT';
+        }
+        
+        return {
+            target: { x: node.x, y: node.y, color: null },
+            color: null,
+            action,
+            hint: isParent ? `UP ${node.path}` : `${node.permissions} ${node.path}`
+        };
+    }
+
+    draw(ctx, w, h) {
+        const midX = w / 2;
+        
+        // Zone divider
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(midX, 80);
+        ctx.lineTo(midX, h - 80);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Zone labels
+        ctx.font = '9px "JetBrains Mono"';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
+        ctx.textAlign = 'center';
         ['left', 'right'].forEach(side => {
-            const nodes = this.activeNodes[side];
-            nodes.forEach((node, i) => {
-                if (!node.isGrabbed) {
-                    node.targetX = side === 'left' ? 100 : window.innerWidth - 260;
-                    node.targetY = 150 + (i * 60);
-                }
+            const x = side === 'left' ? w / 4 : w * 3 / 4;
+            const count = this.selection[side].length;
+            const selected = count ? ` · ${count} SELECTED` : '';
+            ctx.fillText(`${ZONE_SIDES[side]} // ${this.breadcrumb(side)}${selected}`, x, 110);
+        });
+        ctx.font = '8px "JetBrains Mono"';
+        ctx.fillText('TAP A FOLDER TO OPEN, A FILE TO SELECT - DRAG ONTO A FOLDER OR ACROSS TO MOVE', midX, 70);
+        ctx.fillText(`JOIN INDEX FINGERS TO PIPE: ${this.pipeLabel} → ${this.cwd.right} - THUMB UP FOR THE NEXT`, midX, 84);
+        
+        // Targeted nodes and the folders a held node would drop into
+        const targeted = new Set();
+        const dropTargets = new Set();
+        ['left', 'right'].forEach(side => {
+            const interaction = this.interactionState[side];
+            if (!interaction.target) return;
+            targeted.add(interaction.target);
+            if (interaction.state === INTERACTION_STATES.DRAGGING && interaction.target.type !== PARENT_TYPE) {
+                const { x, y } = interaction.handPos;
+                const folder = this._findDropFolder(side, interaction.target, x, y);
+                if (folder) dropTargets.add(folder);
+            }
+        });
+        
+        // Selection order within each zone, from 1
+        const selectedAs = new Map();
+        ['left', 'right'].forEach(side => {
+            this.activeNodes[side].forEach(node => {
+                const i = this.selection[side].indexOf(node.path);
+                if (i >= 0) selectedAs.set(node, i + 1);
             });
         });
+        
+        // Held nodes on top
+        const nodes = [...this.activeNodes.left, ...this.activeNodes.right];
+        nodes.filter(node => !node.isGrabbed).forEach(node => {
+            this._drawNode(ctx, node, targeted.has(node), dropTargets.has(node), selectedAs.get(node));
+        });
+        nodes.filter(node => node.isGrabbed).forEach(node => this._drawNode(ctx, node, true, false, selectedAs.get(node)));
+        
+        this._drawBridge(ctx);
+        this._drawPipeJob(ctx, w, h);
     }
-}
 
+    _drawNode(ctx, node, isTargeted, isDropTarget, selectedAs) {
+        const x = node.x - NODE_WIDTH / 2;
+        const y = node.y - NODE_HEIGHT / 2;
+        const isDir = node.type === 'dir';
+        const isParent = node.type === PARENT_TYPE;
+        
+        if (node.isGrabbed) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.08)';
+            ctx.fillRect(x + 4, y + 4, NODE_WIDTH, NODE_HEIGHT);
+        }
+        ctx.fillStyle = selectedAs ? '#f0f0f0' : '#ffffff';
+        ctx.fillRect(x, y, NODE_WIDTH, NODE_HEIGHT);
+        
+        const isStrong = node.isGrabbed || isDropTarget || !!selectedAs;
+        ctx.strokeStyle = isStrong ? '#000000' : (isTargeted ? 'rgba(0, 0, 0, 0.6)' : 'rgba(0, 0, 0, 0.3)');
+        ctx.lineWidth = selectedAs ? 2 : (isStrong || isTargeted ? 1.5 : 1);
+        ctx.setLineDash(isDropTarget ? [4, 3] : []);
+        ctx.strokeRect(x, y, NODE_WIDTH, NODE_HEIGHT);
+        ctx.setLineDash([]);
+        
+        // Type marker - solid for folders, faint for files
+        ctx.fillStyle = isDir ? '#000000' : 'rgba(0, 0, 0, 0.2)';
+        ctx.fillRect(x, y, 4, NODE_HEIGHT);
+        
+        ctx.textAlign = 'left';
+        ctx.font = 'bold 9px "JetBrains Mono"';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+        ctx.fillText(isDir ? `${node.name}/` : node.name, x + 12, y + 18);
+        ctx.font = '7px "JetBrains Mono"';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        let details = `${node.permissions}  ${formatSize(node.size)}`;
+        if (isDir) details = node.permissions;
+        if (isParent) details = `UP TO ${node.path}`;
+        ctx.fillText(details, x + 12, y + 32);
+        
+        // Nesting count - how many entries the folder holds
+        if (isDir && node.nestedCount > 0) {
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(x + NODE_WIDTH - 28, y + 6, 22, 12);
+            ctx.font = 'bold 7px "JetBrains Mono"';
+            ctx.fillStyle = '#ffffff';
+            ctx.textAlign = 'center';
+            ctx.fillText(`${node.nestedCount}`, x + NODE_WIDTH - 17, y + 15);
+        }
+        
+        // Selected - numbered in the order the pipe takes them
+        if (selectedAs) {
+            ctx.font = 'bold 8px "JetBrains Mono"';
+            ctx.fillStyle = '#000000';
+            ctx.textAlign = 'right';
+            ctx.fillText(`#${selectedAs}`, x + NODE_WIDTH - 8, y + 34);
+        }
+    }
+
+    // Index tips closing in on each other - dashed while forming, solid once the pipe is joined
+    _drawBridge(ctx) {
+        if (!this.bridge || this.bridge.dist > BRIDGE_HINT_DISTANCE) return;
+        const { left, right, dist } = this.bridge;
+        const active = this.handBridgeActive;
+        
+        ctx.strokeStyle = active ? '#000000' : 'rgba(0, 0, 0, 0.3)';
+        ctx.lineWidth = active ? 2 : 1;
+        ctx.setLineDash(active ? [] : [3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(left.x, left.y);
+        ctx.lineTo(right.x, right.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        const x = (left.x + right.x) / 2;
+        const y = (left.y + right.y) / 2;
+        const progress = Math.min(1, (BRIDGE_HINT_DISTANCE - dist) / (BRIDGE_HINT_DISTANCE - BRIDGE_DISTANCE));
+        ctx.font = 'bold 8px "Orbitron"';
+        ctx.fillStyle = active ? '#000000' : 'rgba(0, 0, 0, 0.5)';
+        ctx.textAlign = 'center';
+        
+        const armed = active && this.bridgeHeld >= PIPE_ARM_TIME;
+        let label = `BRIDGE ${Math.round(progress * 100)}%`;
+        if (active) label = 'PIPE_JOINED';
+        if (armed) label = this.pipeInputs.length ? `${this.pipeLabel} ${this.pipeInputs.length} → ${this.cwd.right}` : 'SELECT ENTRIES FIRST';
+        if (armed && this.isPipeRunning) label = 'PIPE_BUSY';
+        if (this.bridgeSpent) label = 'PART HANDS';
+        ctx.fillText(label, x, y - 12);
+        
+        // Confirm bar - runs when it is full
+        if (armed && !this.bridgeSpent && this.pipeInputs.length) {
+            const confirm = Math.min(1, (this.bridgeHeld - PIPE_ARM_TIME) / (PIPE_CONFIRM_TIME - PIPE_ARM_TIME));
+            ctx.strokeStyle = '#000000';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x - 40, y + 8, 80, 5);
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(x - 40, y + 8, 80 * confirm, 5);
+        }
+    }
+
+    // Running or just finished operation - bottom centre, with its progress over the inputs
+    _drawPipeJob(ctx, w, h) {
+        const job = this.pipeJob;
+        if (!job) return;
+        const width = 320;
+        const x = (w - width) / 2;
+        const y = h - 130;
+        
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(x, y, width, 36);
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = job.state === PIPE_STATES.FAILED ? 2 : 1;
+        ctx.strokeRect(x, y, width, 36);
+        
+        ctx.font = 'bold 8px "Orbitron"';
+        ctx.fillStyle = '#000000';
+        ctx.textAlign = 'left';
+        ctx.fillText(`PIPE_${job.state}`, x + 10, y + 14);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${job.done}/${job.total}`, x + width - 10, y + 14);
+        
+        ctx.font = '7px "JetBrains Mono"';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.textAlign = 'left';
+        ctx.fillText(job.message, x + 10, y + 28, width - 20);
+        
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(x, y + 34, width * (job.total ? job.done / job.total : 1), 2);
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * Super Rotation System - orientation states and wall-kick tables
+ * Orientations: 0 = spawn, 1 = R (one turn clockwise), 2 = 180, 3 = L
+ * Kick offsets are listed as in the SRS guideline (+y is up), so callers subtract y on a y-down grid
+ */
+
+export const ROTATION = {
+    CW: 1,
+    CCW: -1
+};
+
+// J, L, S, T, Z share one table
+const JLSTZ_KICKS = {
+    '0>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    '1>0': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+    '1>2': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+    '2>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    '2>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+    '3>2': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    '3>0': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    '0>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]]
+};
+
+const I_KICKS = {
+    '0>1': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+    '1>0': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+    '1>2': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+    '2>1': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '2>3': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+    '3>2': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+    '3>0': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '0>3': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]]
+};
+
+export function nextOrientation(orientation, direction) {
+    return (orientation + direction + 4) % 4;
+}
+
+// Rotates a square SRS matrix a quarter turn around its center
+export function rotateMatrix(shape, direction) {
+    const size = shape.length;
+    const rotated = Array.from({ length: size }, () => Array(size).fill(0));
+
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            if (direction === ROTATION.CW) {
+                rotated[col][size - 1 - row] = shape[row][col];
+            } else {
+                rotated[size - 1 - col][row] = shape[row][col];
+            }
+        }
+    }
+    return rotated;
+}
+
+export function getKickTests(type, from, to) {
+    if (type === 'O') return [[0, 0]];
+    const table = type === 'I' ? I_KICKS : JLSTZ_KICKS;
+    return table[`${from}>${to}`];
+}
@@ -0,0 +1,103 @@
+/**
+ * Service Worker - offline cache for the app and the recognizer assets
+ * App files are network-first (edits show up on reload), recognizer assets cache-first. Assets that
+ * came from the CDN are cached on first use, so one online run is enough for later offline ones.
+ * Local asset paths match DEFAULT_ASSET_CONFIG in asset_resolver.js.
+ */
+
+const CACHE_NAME = 'hand-tracking-ar-v1';
+
+const APP_FILES = [
+    './',
+    './index.html',
+    './app.js',
+    './app_host.js',
+    './asset_resolver.js',
+    './calibration.js',
+    './camera.js',
+    './fs_backends.js',
+    './gestures.js',
+    './hand_input.js',
+    './inference_worker.js',
+    './notifications.js',
+    './one_euro.js',
+    './pinch.js',
+    './pipe_ops.js',
+    './randomizer.js',
+    './session_recorder.js',
+    './settings.js',
+    './spatial_shell.js',
+    './srs.js',
+    './tetris.js',
+    './tetris_core.js',
+    './vfs.js'
+];
+
+// Vendored copies - optional, missing ones are left to the CDN fallback
+const LOCAL_ASSETS = [
+    './vendor/tasks-vision/vision_bundle.mjs',
+    './vendor/tasks-vision/wasm/vision_wasm_internal.js',
+    './vendor/tasks-vision/wasm/vision_wasm_internal.wasm',
+    './vendor/tasks-vision/wasm/vision_wasm_nosimd_internal.js',
+    './vendor/tasks-vision/wasm/vision_wasm_nosimd_internal.wasm',
+    './models/gesture_recognizer.task'
+];
+
+const ASSET_HOSTS = ['cdn.jsdelivr.net', 'storage.googleapis.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => Promise.all(
+        [...APP_FILES, ...LOCAL_ASSETS].map(url => cache.add(url).catch(() => {
+            console.warn(`Not precached: ${url}`);
+        }))
+    )).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+function isAsset(url) {
+    return ASSET_HOSTS.includes(url.hostname) ||
+        url.pathname.includes('/vendor/') ||
+        url.pathname.includes('/models/');
+}
+
+async function fromNetwork(request) {
+    const response = await fetch(request);
+    if (request.method === 'GET' && response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function cacheFirst(request) {
+    // HEAD requests are the asset resolver's probes - a cached GET answers them too
+    const cached = await caches.match(request, { ignoreMethod: true });
+    return cached || fromNetwork(request);
+}
+
+async function networkFirst(request) {
+    try {
+        return await fromNetwork(request);
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreMethod: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' && request.method !== 'HEAD') return;
+
+    const url = new URL(request.url);
+    if (isAsset(url)) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
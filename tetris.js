@@ -1,41 +1,67 @@
 /**
  * Tetris - Hand Controlled
  * Zone-based interaction: spawn zone for grabbing, play zone for rotating only
+ * Layout, hand input and rendering on top of the headless rules in tetris_core.js
  */
 
-const COLS = 10;
-const ROWS = 20;
+import {
+    TetrisCore,
+    COLS,
+    ROWS,
+    SPAWN_TICKS,
+    MAX_PER_HOLD,
+    SHAPES,
+    SHAPE_COLORS,
+    GAME_STATES
+} from './tetris_core.js';
+import { DEFAULT_PINCH_THRESHOLDS } from './calibration.js';
+import { PINCH_MIN_CONFIDENCE } from './pinch.js';
+import { DEFAULT_FILTER_PARAMS } from './one_euro.js';
+import { GESTURES } from './gestures.js';
+import { ROTATION_METHODS, getHandRoles } from './settings.js';
+import { toScreenX } from './hand_input.js';
+
+export { GAME_STATES, RELEASE_BEHAVIOURS } from './tetris_core.js';
+
 const CELL_SIZE = 24;
 const SPAWN_ZONE_HEIGHT = 220; // More distance between spawn and play area
-const SPAWN_TICKS = 6; // Number of ticks piece stays in spawn zone (grabbable)
 const HOLD_SLOT_HEIGHT = 70;
 const HOLD_SLOT_WIDTH = 90;
 const HOLD_SLOT_GAP = 25; // Gap between hold slots
-const MAX_HOLDS = 6; // 3 on left, 3 on right
-const MAX_PER_HOLD = 3;
-const HOLD_SPAWN_DELAY = 2000; // Spawn new piece after 2 seconds of holding
-
-// Tetromino shapes
-const SHAPES = {
-    I: [[1, 1, 1, 1]],
-    O: [[1, 1], [1, 1]],
-    T: [[0, 1, 0], [1, 1, 1]],
-    S: [[0, 1, 1], [1, 1, 0]],
-    Z: [[1, 1, 0], [0, 1, 1]],
-    J: [[1, 0, 0], [1, 1, 1]],
-    L: [[0, 0, 1], [1, 1, 1]]
-};
+const NEXT_CELL_SIZE = 12; // Preview queue cells are drawn at half size
+const SOFT_DROP_PULL = 45; // Pixels the pinched hand must pull below its grab point
+const TWIST_DETENT = 45; // Degrees of wrist turn per quarter rotation in twist mode
+const TWIST_COOLDOWN = 150;
+const DETENT_FLASH = 200; // ms the twist dial highlights a detent that was just crossed
 
-const SHAPE_COLORS = {
-    I: '#00CED1',
-    O: '#FFD700',
-    T: '#9370DB',
-    S: '#32CD32',
-    Z: '#FF6347',
-    J: '#4169E1',
-    L: '#FF8C00'
+// Single-handed hint per rotation method
+const ROTATION_HINTS = {
+    [ROTATION_METHODS.CIRCLE]: 'CIRCLE=ROTATE',
+    [ROTATION_METHODS.TWIST]: 'TWIST=ROTATE'
 };
 
+// Filled-cell extents, so empty rows/cols of the rotation box don't skew screen centering
+function getShapeBounds(shape) {
+    let minRow = Infinity, maxRow = -1, minCol = Infinity, maxCol = -1;
+    for (let row = 0; row < shape.length; row++) {
+        for (let col = 0; col < shape[row].length; col++) {
+            if (shape[row][col]) {
+                minRow = Math.min(minRow, row);
+                maxRow = Math.max(maxRow, row);
+                minCol = Math.min(minCol, col);
+                maxCol = Math.max(maxCol, col);
+            }
+        }
+    }
+    return {
+        minRow, minCol,
+        width: maxCol - minCol + 1,
+        height: maxRow - minRow + 1,
+        centerX: (minCol + maxCol + 1) / 2,
+        centerY: (minRow + maxRow + 1) / 2
+    };
+}
+
 export const INTERACTION_STATES = {
     IDLE: 'IDLE',
     TARGETING: 'TARGETING',
@@ -43,29 +69,84 @@ export const INTERACTION_STATES = {
     DRAGGING: 'DRAGGING'
 };
 
+export const TETRIS_ACTIONS = {
+    PAUSE: 'pause',
+    HARD_DROP: 'hardDrop',
+    HOLD_SWAP: 'holdSwap',
+    RESTART: 'restart'
+};
+
+// Default gesture vocabulary, see gestures.js
+export const TETRIS_GESTURE_BINDINGS = [
+    { gesture: GESTURES.CLAP, action: TETRIS_ACTIONS.PAUSE, holdTime: 0 },
+    { gesture: GESTURES.VICTORY, hand: 'both', action: TETRIS_ACTIONS.PAUSE, holdTime: 500 },
+    { gesture: GESTURES.CLOSED_FIST, action: TETRIS_ACTIONS.HARD_DROP, holdTime: 250 },
+    { gesture: GESTURES.SWIPE_LEFT, action: TETRIS_ACTIONS.HOLD_SWAP, holdTime: 0 },
+    { gesture: GESTURES.SWIPE_RIGHT, action: TETRIS_ACTIONS.HOLD_SWAP, holdTime: 0 },
+    { gesture: GESTURES.THUMB_UP, action: TETRIS_ACTIONS.RESTART, holdTime: 1000 }
+];
+
 export class Tetris {
-    constructor() {
-        this.board = this.createEmptyBoard();
+    constructor(options = {}) {
+        // Game rules and piece sequence - options are passed through (generator, seed, previewCount, ...)
+        this.core = new TetrisCore({
+            onEvent: (message) => {
+                if (window.addLog) window.addLog(message);
+            },
+            ...options
+        });
+        
         this.boardWidth = COLS * CELL_SIZE;
         this.boardHeight = ROWS * CELL_SIZE;
-        this.currentPiece = null;
-        this.lastDropTime = 0;
-        this.dropInterval = 600; // Faster falling
         
-        // Hold slots - 6 holds: 1-3 on left, 4-6 on right
-        this.holds = [
-            { pieces: [], type: null, x: 0, y: 0, isTargeted: false, side: 'left' },
-            { pieces: [], type: null, x: 0, y: 0, isTargeted: false, side: 'left' },
-            { pieces: [], type: null, x: 0, y: 0, isTargeted: false, side: 'left' },
-            { pieces: [], type: null, x: 0, y: 0, isTargeted: false, side: 'right' },
-            { pieces: [], type: null, x: 0, y: 0, isTargeted: false, side: 'right' },
-            { pieces: [], type: null, x: 0, y: 0, isTargeted: false, side: 'right' }
-        ];
+        // Presentation and input preferences - gameplay ones go to the core, see applySettings()
+        this.settings = {
+            showGhost: true,
+            softDropGesture: true,
+            moveHand: 'left',
+            rotationMethod: ROTATION_METHODS.CIRCLE
+        };
+        
+        // Pinch ratio thresholds, see calibration.js
+        this.pinchThresholds = { ...DEFAULT_PINCH_THRESHOLDS };
+        
+        // Landmark filtering the host should use for this game - fast drags matter more than rest jitter
+        this.filterParams = { ...DEFAULT_FILTER_PARAMS, minCutoff: 1.5, beta: 20 };
+        
+        // Whether the camera image is shown mirrored - follows the hand source, see setMirrored()
+        this.mirrored = true;
         
-        // Track when piece was last held (for delayed spawn)
-        this.lastHoldTime = 0;
-        this.pendingSpawn = false;
+        this.gestureBindings = TETRIS_GESTURE_BINDINGS;
+        this.suspended = false; // Paused because another app was switched to, see deactivate()
         
+        // Layout info
+        this.layout = { 
+            offsetX: 0, 
+            offsetY: 0, 
+            spawnZoneTop: 0,
+            spawnZoneBottom: 0,
+            holdX: 0,
+            holdY: 0
+        };
+        
+        this.resetInteraction();
+    }
+
+    get board() { return this.core.board; }
+    get currentPiece() { return this.core.currentPiece; }
+    get holds() { return this.core.holds; }
+    get nextQueue() { return this.core.nextQueue; }
+    get gameState() { return this.core.gameState; }
+    get gameOverReason() { return this.core.gameOverReason; }
+    get score() { return this.core.score; }
+    get stats() { return this.core.stats; }
+
+    reset() {
+        this.core.reset();
+        this.resetInteraction();
+    }
+
+    resetInteraction() {
         // Interaction state
         this.interactionState = {
             left: { 
@@ -92,81 +173,122 @@ export class Tetris {
             }
         };
         
-        // Layout info
-        this.layout = { 
-            offsetX: 0, 
-            offsetY: 0, 
-            spawnZoneTop: 0,
-            spawnZoneBottom: 0,
-            holdX: 0,
-            holdY: 0
-        };
-        
         // Dragging state
         this.isDraggingPiece = false;
         this.draggedPiece = null;
-        
-        this.spawnPiece();
     }
 
-    createEmptyBoard() {
-        return Array.from({ length: ROWS }, () => Array(COLS).fill(0));
+    applySettings(settings) {
+        this.core.applySettings(settings);
+        Object.keys(this.settings).forEach(key => {
+            if (settings[key] !== undefined) {
+                this.settings[key] = settings[key];
+            }
+        });
+    }
+
+    setPinchThresholds(thresholds) {
+        this.pinchThresholds = { ...thresholds };
     }
 
-    spawnPiece() {
-        const types = Object.keys(SHAPES);
-        const type = types[Math.floor(Math.random() * types.length)];
-        const shape = SHAPES[type];
-        
-        this.currentPiece = {
-            type,
-            shape: JSON.parse(JSON.stringify(shape)),
-            x: Math.floor((COLS - shape[0].length) / 2),
-            y: -SPAWN_TICKS - shape.length, // Start high in spawn zone for grab time
-            color: SHAPE_COLORS[type],
-            isGrabbed: false,
-            inPlayZone: false, // Track if piece has entered play zone
-            screenX: 0,
-            screenY: 0,
-            targetScreenX: 0,
-            targetScreenY: 0
-        };
+    setMirrored(mirrored) {
+        this.mirrored = mirrored;
     }
 
-    rotatePiece(piece) {
-        if (!piece || piece.type === 'O') return;
-        
-        const rows = piece.shape.length;
-        const cols = piece.shape[0].length;
-        const rotated = [];
-        
-        for (let col = 0; col < cols; col++) {
-            rotated.push([]);
-            for (let row = rows - 1; row >= 0; row--) {
-                rotated[col].push(piece.shape[row][col]);
-            }
+    setGenerator(mode, seed = null) {
+        this.core.setGenerator(mode, seed);
+        this.resetInteraction();
+    }
+
+    start(currentTime) {
+        this.core.start(currentTime);
+    }
+
+    pause(currentTime) {
+        this.core.pause(currentTime);
+        this.releaseAllGrabs();
+    }
+
+    resume(currentTime) {
+        this.core.resume(currentTime);
+    }
+
+    togglePause(currentTime) {
+        this.core.togglePause(currentTime);
+        this.releaseAllGrabs();
+    }
+
+    restart(currentTime) {
+        this.reset();
+        this.core.start(currentTime);
+    }
+
+    // App host hooks - a game left running while another app is shown would drop pieces unseen
+    deactivate(currentTime) {
+        this.suspended = this.gameState === GAME_STATES.PLAYING;
+        if (this.suspended) {
+            this.pause(currentTime);
+        } else {
+            this.releaseAllGrabs();
         }
+    }
+
+    activate(currentTime) {
+        if (this.suspended && this.gameState === GAME_STATES.PAUSED) this.resume(currentTime);
+        this.suspended = false;
+    }
+
+    // Discrete actions from gestures (or any other binding) - returns whether anything happened
+    performAction(action, currentTime) {
+        const playing = this.gameState === GAME_STATES.PLAYING;
+        const piece = this.currentPiece;
         
-        // Check if rotation is valid (wall kick)
-        const oldShape = piece.shape;
-        piece.shape = rotated;
-        
-        if (!this.canPlace(piece)) {
-            // Try wall kicks
-            const kicks = [-1, 1, -2, 2];
-            let valid = false;
-            for (let kick of kicks) {
-                piece.x += kick;
-                if (this.canPlace(piece)) {
-                    valid = true;
-                    break;
-                }
-                piece.x -= kick;
-            }
-            if (!valid) {
-                piece.shape = oldShape; // Revert
-            }
+        switch (action) {
+            case TETRIS_ACTIONS.PAUSE:
+                if (!playing && this.gameState !== GAME_STATES.PAUSED) return false;
+                this.togglePause(currentTime);
+                return true;
+            case TETRIS_ACTIONS.HARD_DROP:
+                // Only the falling piece, and not while a hand is steering it
+                if (!playing || !piece || !piece.inPlayZone || this.isSteered(piece)) return false;
+                this.core.hardDrop();
+                return true;
+            case TETRIS_ACTIONS.HOLD_SWAP:
+                if (!playing || !piece || piece.isGrabbed || this.isSteered(piece)) return false;
+                return this.core.swapHold();
+            case TETRIS_ACTIONS.RESTART:
+                // Never throws away a running game
+                if (playing || this.gameState === GAME_STATES.READY) return false;
+                this.restart(currentTime);
+                return true;
         }
+        return false;
+    }
+
+    // Held by a play-zone grab - those leave piece.isGrabbed unset, the piece stays on the grid
+    isSteered(piece) {
+        return ['left', 'right'].some(side => {
+            const interaction = this.interactionState[side];
+            const holding = interaction.state === INTERACTION_STATES.GRABBING || interaction.state === INTERACTION_STATES.DRAGGING;
+            return holding && interaction.isPlayZoneGrab && interaction.target === piece;
+        });
+    }
+
+    releaseAllGrabs() {
+        ['left', 'right'].forEach(side => {
+            const interaction = this.interactionState[side];
+            if (interaction.target) {
+                interaction.target.isGrabbed = false;
+            }
+            interaction.state = INTERACTION_STATES.IDLE;
+            interaction.target = null;
+            interaction.grabOffset = null;
+            interaction.grabAngle = null;
+            interaction.isPlayZoneGrab = false;
+            interaction.currentRotation = undefined;
+        });
+        this.isDraggingPiece = false;
+        this.draggedPiece = null;
     }
 
     calculateWristAngle(landmarks) {
@@ -178,7 +300,8 @@ export class Tetris {
         return Math.atan2(dy, dx) * (180 / Math.PI);
     }
 
-    update(currentTime, hands, pinchDistances, canvasWidth, canvasHeight) {
+    // hands: { left, right } hand frames from hand_input.js (or null in preview)
+    update(currentTime, hands, canvasWidth, canvasHeight) {
         // Calculate layout - board center-bottom, holds top-left and top-right
         
         // Board in center-bottom
@@ -211,45 +334,30 @@ export class Tetris {
             hold.isTargeted = false;
         });
         
-        // Check if current piece has entered play zone
-        if (this.currentPiece && !this.currentPiece.inPlayZone && !this.currentPiece.isGrabbed) {
-            if (this.currentPiece.y >= 0) {
-                this.currentPiece.inPlayZone = true;
-            }
-        }
-        
-        // Spawn new piece after hold delay
-        if (this.pendingSpawn && !this.currentPiece) {
-            if (currentTime - this.lastHoldTime >= HOLD_SPAWN_DELAY) {
-                this.spawnPiece();
-                this.pendingSpawn = false;
-            }
+        // Not playing - no input, just keep pieces positioned for drawing
+        if (this.gameState !== GAME_STATES.PLAYING) {
+            this.core.tick(currentTime);
+            this.releaseAllGrabs();
+            this.updatePiecePositions();
+            return;
         }
         
-        // Handle hand interaction
+        // Handle hand interaction, then advance the rules (spawn delay, gravity, lock delay)
         if (hands) {
-            this.handleHandInteraction(hands, pinchDistances, canvasWidth, canvasHeight, currentTime);
-        }
-        
-        // Auto-drop only if piece is not grabbed and exists
-        if (this.currentPiece && !this.currentPiece.isGrabbed) {
-            if (currentTime - this.lastDropTime > this.dropInterval) {
-                this.lastDropTime = currentTime;
-                this.dropPiece();
-            }
+            this.handleHandInteraction(hands, canvasWidth, canvasHeight, currentTime);
         }
+        this.core.tick(currentTime);
         
         // Update piece screen positions
         this.updatePiecePositions();
     }
 
-    handleHandInteraction(hands, pinchDistances, w, h, currentTime) {
+    handleHandInteraction(hands, w, h, currentTime) {
         this.isDraggingPiece = false;
         this.draggedPiece = null;
         
         ['left', 'right'].forEach(side => {
             const hand = hands[side];
-            const dist = pinchDistances[side];
             const interaction = this.interactionState[side];
 
             if (!hand) {
@@ -262,27 +370,21 @@ export class Tetris {
                 return;
             }
 
+            const pinch = hand.pinch;
             const thumb = hand.landmarks[4];
             const index = hand.landmarks[8];
-            const rawMidX = (1 - (thumb.x + index.x) / 2) * w;
+            const rawMidX = toScreenX((thumb.x + index.x) / 2, w, this.mirrored);
             const rawMidY = ((thumb.y + index.y) / 2) * h;
 
-            if (!interaction.smoothedPos) {
-                interaction.smoothedPos = { x: rawMidX, y: rawMidY };
-            }
-            // Faster smoothing when dragging for more responsive feel
-            const isDragging = interaction.state === INTERACTION_STATES.DRAGGING;
-            const smoothFactor = isDragging ? 0.5 : 0.3;
-            interaction.smoothedPos.x += (rawMidX - interaction.smoothedPos.x) * smoothFactor;
-            interaction.smoothedPos.y += (rawMidY - interaction.smoothedPos.y) * smoothFactor;
-            
-            const midX = interaction.smoothedPos.x;
-            const midY = interaction.smoothedPos.y;
+            // Landmarks arrive One-Euro filtered from HandInput, no extra smoothing here
+            interaction.smoothedPos = { x: rawMidX, y: rawMidY };
+            const midX = rawMidX;
+            const midY = rawMidY;
 
-            const GRAB_THRESHOLD = 0.09;
-            const RELEASE_THRESHOLD = 0.15; // More forgiving - won't accidentally release
-            const canGrab = dist < GRAB_THRESHOLD;
-            const shouldRelease = dist > RELEASE_THRESHOLD;
+            // Hysteresis from the calibration profile - releasing needs a wider spread than grabbing
+            // Low-confidence readings can't start a grab
+            const canGrab = pinch.ratio < this.pinchThresholds.grab && pinch.confidence >= PINCH_MIN_CONFIDENCE;
+            const shouldRelease = pinch.ratio > this.pinchThresholds.release;
 
             if (interaction.state === INTERACTION_STATES.IDLE || interaction.state === INTERACTION_STATES.TARGETING) {
                 // Find nearest piece (works for both spawn zone and play zone)
@@ -311,7 +413,10 @@ export class Tetris {
                         y: interaction.target.screenY - midY 
                     };
                     interaction.grabAngle = this.calculateWristAngle(hand.landmarks);
+                    interaction.twistReference = interaction.grabAngle;
+                    interaction.twistDelta = 0;
                     interaction.grabX = midX; // Store initial grab X for movement
+                    interaction.grabY = midY; // And Y for the soft-drop pull
                     interaction.lastMoveTime = currentTime;
                 }
             } else if (interaction.state === INTERACTION_STATES.GRABBING || interaction.state === INTERACTION_STATES.DRAGGING) {
@@ -321,8 +426,7 @@ export class Tetris {
                         piece.isGrabbed = false;
                         this.handleDrop(piece, midX, midY);
                     } else if (interaction.isPlayZoneGrab && piece === this.currentPiece) {
-                        // Hard drop on release in play zone
-                        this.hardDrop();
+                        this.core.applyReleaseBehaviour();
                     }
                     
                     interaction.state = INTERACTION_STATES.IDLE;
@@ -345,110 +449,25 @@ export class Tetris {
                         const pieceY = this.currentPiece.screenY;
                         const dx = midX - pieceX;
                         const dy = midY - pieceY;
-                        const distFromPiece = Math.sqrt(dx * dx + dy * dy);
+                        
+                        // Pulling the pinched hand down below the grab point soft drops
+                        if (this.settings.softDropGesture && midY - interaction.grabY > SOFT_DROP_PULL) {
+                            this.core.requestSoftDrop();
+                        }
                         
                         if (isTwoHanded) {
-                            // TWO-HANDED MODE: Left hand = movement, Right hand = rotation
-                            if (side === 'left') {
-                                // LEFT HAND: Horizontal movement only
-                                const MOVE_THRESHOLD = 30;
-                                const MOVE_COOLDOWN = 100;
-                                const moveX = midX - interaction.grabX;
-                                
-                                if (Math.abs(moveX) > MOVE_THRESHOLD && currentTime - interaction.lastMoveTime > MOVE_COOLDOWN) {
-                                    const direction = moveX > 0 ? 1 : -1;
-                                    if (this.canMove(direction, 0)) {
-                                        this.currentPiece.x += direction;
-                                        interaction.grabX = midX;
-                                        interaction.lastMoveTime = currentTime;
-                                    }
-                                }
+                            // TWO-HANDED MODE: one hand moves, the other rotates (see settings.moveHand)
+                            if (this.getHandRole(side) === 'move') {
+                                this.updateMove(interaction, midX, currentTime, 30, 100);
                                 // Clear rotation visual for movement hand
                                 interaction.pieceCenter = null;
                             } else {
-                                // RIGHT HAND: Rotation only (circle system)
-                                interaction.circleAngle = Math.atan2(dy, dx);
-                                interaction.circleRadius = 70;
-                                interaction.pieceCenter = { x: pieceX, y: pieceY };
-                                
-                                if (distFromPiece > 30) {
-                                    const angleDeg = (interaction.circleAngle * 180 / Math.PI + 360) % 360;
-                                    const targetRotation = Math.round(angleDeg / 90) % 4;
-                                    
-                                    if (interaction.currentRotation === undefined) {
-                                        interaction.currentRotation = 0;
-                                    }
-                                    
-                                    const ROTATION_COOLDOWN = 200;
-                                    if (targetRotation !== interaction.currentRotation && 
-                                        currentTime - interaction.lastRotateTime > ROTATION_COOLDOWN) {
-                                        
-                                        let diff = targetRotation - interaction.currentRotation;
-                                        if (diff > 2) diff -= 4;
-                                        if (diff < -2) diff += 4;
-                                        
-                                        if (diff > 0) {
-                                            this.rotatePiece(this.currentPiece);
-                                        } else if (diff < 0) {
-                                            this.rotatePiece(this.currentPiece);
-                                            this.rotatePiece(this.currentPiece);
-                                            this.rotatePiece(this.currentPiece);
-                                        }
-                                        
-                                        interaction.currentRotation = targetRotation;
-                                        interaction.lastRotateTime = currentTime;
-                                    }
-                                }
+                                this.updateRotation(interaction, hand, dx, dy, currentTime, 30, 200);
                             }
                         } else {
                             // SINGLE-HANDED MODE: Same hand does both
-                            interaction.circleAngle = Math.atan2(dy, dx);
-                            interaction.circleRadius = 70;
-                            interaction.pieceCenter = { x: pieceX, y: pieceY };
-                            
-                            // Rotation based on angle
-                            if (distFromPiece > 40) {
-                                const angleDeg = (interaction.circleAngle * 180 / Math.PI + 360) % 360;
-                                const targetRotation = Math.round(angleDeg / 90) % 4;
-                                
-                                if (interaction.currentRotation === undefined) {
-                                    interaction.currentRotation = 0;
-                                }
-                                
-                                const ROTATION_COOLDOWN = 250;
-                                if (targetRotation !== interaction.currentRotation && 
-                                    currentTime - interaction.lastRotateTime > ROTATION_COOLDOWN) {
-                                    
-                                    let diff = targetRotation - interaction.currentRotation;
-                                    if (diff > 2) diff -= 4;
-                                    if (diff < -2) diff += 4;
-                                    
-                                    if (diff > 0) {
-                                        this.rotatePiece(this.currentPiece);
-                                    } else if (diff < 0) {
-                                        this.rotatePiece(this.currentPiece);
-                                        this.rotatePiece(this.currentPiece);
-                                        this.rotatePiece(this.currentPiece);
-                                    }
-                                    
-                                    interaction.currentRotation = targetRotation;
-                                    interaction.lastRotateTime = currentTime;
-                                }
-                            }
-                            
-                            // Horizontal movement
-                            const MOVE_THRESHOLD = 35;
-                            const MOVE_COOLDOWN = 120;
-                            const moveX = midX - interaction.grabX;
-                            
-                            if (Math.abs(moveX) > MOVE_THRESHOLD && currentTime - interaction.lastMoveTime > MOVE_COOLDOWN) {
-                                const direction = moveX > 0 ? 1 : -1;
-                                if (this.canMove(direction, 0)) {
-                                    this.currentPiece.x += direction;
-                                    interaction.grabX = midX;
-                                    interaction.lastMoveTime = currentTime;
-                                }
-                            }
+                            this.updateRotation(interaction, hand, dx, dy, currentTime, 40, 250);
+                            this.updateMove(interaction, midX, currentTime, 35, 120);
                         }
                     } else {
                         // SPAWN ZONE / HOLD: Free drag movement - direct follow
@@ -456,34 +475,21 @@ export class Tetris {
                         this.draggedPiece = interaction.target;
                         
                         if (interaction.target && interaction.grabOffset) {
-                            // Set target position
+                            // Set target position - grabbed pieces snap to it below
                             interaction.target.targetScreenX = midX + interaction.grabOffset.x;
                             interaction.target.targetScreenY = midY + interaction.grabOffset.y;
-                            
-                            // Also directly update position for immediate response
-                            const dx = interaction.target.targetScreenX - interaction.target.screenX;
-                            const dy = interaction.target.targetScreenY - interaction.target.screenY;
-                            interaction.target.screenX += dx * 0.6;
-                            interaction.target.screenY += dy * 0.6;
                         }
                     }
                 }
             }
         });
 
-        // Smooth animation for grabbed pieces - faster and more responsive
+        // Grabbed pieces follow the (already filtered) hand 1:1
         const allPieces = [this.currentPiece, ...this.holds.flatMap(h => h.pieces)].filter(p => p);
         allPieces.forEach(piece => {
-            if (piece && piece.isGrabbed) {
-                const dx = piece.targetScreenX - piece.screenX;
-                const dy = piece.targetScreenY - piece.screenY;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-                
-                // Much faster follow - nearly 1:1 with hand
-                const lerpFactor = 0.4 + Math.min(dist / 50, 0.4);
-                
-                piece.screenX += dx * lerpFactor;
-                piece.screenY += dy * lerpFactor;
+            if (piece.isGrabbed) {
+                piece.screenX = piece.targetScreenX;
+                piece.screenY = piece.targetScreenY;
             }
         });
         
@@ -494,14 +500,100 @@ export class Tetris {
                 this.holds.forEach(hold => {
                     const inBounds = handPos.x >= hold.x - 10 && handPos.x <= hold.x + HOLD_SLOT_WIDTH + 10 &&
                                    handPos.y >= hold.y - 10 && handPos.y <= hold.y + HOLD_SLOT_HEIGHT + 10;
-                    const canAdd = hold.pieces.length < MAX_PER_HOLD && 
-                                  (hold.type === null || hold.type === this.draggedPiece.type);
-                    hold.isTargeted = inBounds && canAdd;
+                    hold.isTargeted = inBounds && this.core.canAddToHold(hold, this.draggedPiece);
                 });
             }
         }
     }
     
+
+    // Role of a hand while both steer the falling piece - 'move' or 'rotate'
+    getHandRole(side) {
+        return getHandRoles(this.settings)[side];
+    }
+
+    // Horizontal movement: one column per threshold of travel from the grab point
+    updateMove(interaction, midX, currentTime, threshold, cooldown) {
+        const moveX = midX - interaction.grabX;
+        
+        if (Math.abs(moveX) > threshold && currentTime - interaction.lastMoveTime > cooldown) {
+            const direction = moveX > 0 ? 1 : -1;
+            if (this.core.movePiece(direction)) {
+                interaction.grabX = midX;
+                interaction.lastMoveTime = currentTime;
+            }
+        }
+    }
+
+    updateRotation(interaction, hand, dx, dy, currentTime, minDist, cooldown) {
+        if (this.settings.rotationMethod === ROTATION_METHODS.TWIST) {
+            this.updateTwistRotation(interaction, hand, currentTime);
+        } else {
+            this.updateCircleRotation(interaction, dx, dy, currentTime, minDist, cooldown);
+        }
+    }
+
+    // Wrist turned a full detent past the reference -> quarter turn, then the reference moves one detent.
+    // Turning back therefore needs the whole 45° again, so jitter at the edge can't flip-flop.
+    updateTwistRotation(interaction, hand, currentTime) {
+        interaction.pieceCenter = { x: this.currentPiece.screenX, y: this.currentPiece.screenY };
+        interaction.circleRadius = 70;
+        
+        const angle = this.calculateWristAngle(hand.landmarks);
+        // On a mirrored screen a clockwise turn lowers the image-space angle
+        const turn = this.mirrored ? interaction.twistReference - angle : angle - interaction.twistReference;
+        const delta = (turn % 360 + 540) % 360 - 180;
+        interaction.twistDelta = delta;
+        
+        if (Math.abs(delta) < TWIST_DETENT || currentTime - interaction.lastRotateTime < TWIST_COOLDOWN) return;
+        
+        const direction = delta > 0 ? 1 : -1;
+        if (direction > 0) {
+            this.core.rotatePieceCW();
+        } else {
+            this.core.rotatePieceCCW();
+        }
+        interaction.twistReference -= direction * TWIST_DETENT * (this.mirrored ? 1 : -1);
+        interaction.twistDelta -= direction * TWIST_DETENT;
+        interaction.lastRotateTime = currentTime;
+    }
+
+    // dx/dy: hand relative to the piece centre; minDist keeps the circle from flipping around the centre
+    updateCircleRotation(interaction, dx, dy, currentTime, minDist, cooldown) {
+        const pieceX = this.currentPiece.screenX;
+        const pieceY = this.currentPiece.screenY;
+        interaction.circleAngle = Math.atan2(dy, dx);
+        interaction.circleRadius = 70;
+        interaction.pieceCenter = { x: pieceX, y: pieceY };
+        
+        // Rotation based on angle
+        if (Math.sqrt(dx * dx + dy * dy) <= minDist) return;
+        
+        const angleDeg = (interaction.circleAngle * 180 / Math.PI + 360) % 360;
+        const targetRotation = Math.round(angleDeg / 90) % 4;
+        
+        if (interaction.currentRotation === undefined) {
+            interaction.currentRotation = 0;
+        }
+        
+        if (targetRotation !== interaction.currentRotation && 
+            currentTime - interaction.lastRotateTime > cooldown) {
+            
+            let diff = targetRotation - interaction.currentRotation;
+            if (diff > 2) diff -= 4;
+            if (diff < -2) diff += 4;
+            
+            if (diff > 0) {
+                this.core.rotatePieceCW();
+            } else if (diff < 0) {
+                this.core.rotatePieceCCW();
+            }
+            
+            interaction.currentRotation = targetRotation;
+            interaction.lastRotateTime = currentTime;
+        }
+    }
+
     getHandPosition() {
         for (let side of ['left', 'right']) {
             const interaction = this.interactionState[side];
@@ -551,34 +643,14 @@ export class Tetris {
         const { spawnZoneTop, spawnZoneBottom, offsetX } = this.layout;
         
         // Check if dropped on a specific hold slot
-        for (let hold of this.holds) {
+        for (let i = 0; i < this.holds.length; i++) {
+            const hold = this.holds[i];
             const inHoldBounds = x >= hold.x - 10 && x <= hold.x + HOLD_SLOT_WIDTH + 10 &&
                                  y >= hold.y - 10 && y <= hold.y + HOLD_SLOT_HEIGHT + 10;
             
             if (inHoldBounds) {
-                // Check if can add to this hold
-                const canAdd = hold.pieces.length < MAX_PER_HOLD && 
-                              (hold.type === null || hold.type === piece.type);
-                
-                if (canAdd) {
-                    // Remove piece from its current location
-                if (piece === this.currentPiece) {
-                    this.currentPiece = null;
-                        // Mark that we need to spawn after delay
-                        this.lastHoldTime = performance.now();
-                        this.pendingSpawn = true;
-                    } else {
-                        // Remove from any hold it might be in
-                        this.removeFromHolds(piece);
-                    }
-                    
-                    // Add to this hold
-                    piece.inPlayZone = false;
-                    hold.pieces.push(piece);
-                    hold.type = piece.type;
-                    return;
-                }
                 // If can't add (wrong type or full), piece goes back to origin
+                this.core.holdPiece(piece, i);
                 return;
             }
         }
@@ -586,62 +658,10 @@ export class Tetris {
         // Check if dropped in spawn zone (release from hold)
         if (x >= offsetX && x <= offsetX + this.boardWidth &&
             y >= spawnZoneTop && y <= spawnZoneBottom) {
-            
-            // Find which hold this piece is in
-            const sourceHold = this.findHoldContaining(piece);
-            if (sourceHold) {
-                // Remove from hold
-                const idx = sourceHold.pieces.indexOf(piece);
-                if (idx !== -1) {
-                    sourceHold.pieces.splice(idx, 1);
-                    if (sourceHold.pieces.length === 0) {
-                        sourceHold.type = null; // Reset type when empty
-                    }
-                }
-                
-                // Swap with current piece if it's in spawn zone
-                if (this.currentPiece && !this.currentPiece.inPlayZone) {
-                    // Try to put current piece in the same hold
-                    if (sourceHold.pieces.length < MAX_PER_HOLD &&
-                        (sourceHold.type === null || sourceHold.type === this.currentPiece.type)) {
-                        this.currentPiece.inPlayZone = false;
-                        sourceHold.pieces.push(this.currentPiece);
-                        sourceHold.type = this.currentPiece.type;
-                    }
-                }
-                
-                // Make released piece the current piece
-                    this.currentPiece = piece;
-                piece.x = Math.floor((COLS - piece.shape[0].length) / 2);
-                piece.y = -SPAWN_TICKS - piece.shape.length;
-                piece.inPlayZone = false;
-            }
-            return;
-        }
-    }
-
-    removeFromHolds(piece) {
-        for (let hold of this.holds) {
-            const idx = hold.pieces.indexOf(piece);
-            if (idx !== -1) {
-                hold.pieces.splice(idx, 1);
-                if (hold.pieces.length === 0) {
-                    hold.type = null;
-                }
-                return;
-            }
+            this.core.releaseFromHold(piece);
         }
     }
 
-    findHoldContaining(piece) {
-        for (let hold of this.holds) {
-            if (hold.pieces.includes(piece)) {
-                return hold;
-            }
-        }
-        return null;
-    }
-
     updatePiecePositions() {
         const { offsetX, offsetY, spawnZoneTop, holdX, holdY } = this.layout;
         
@@ -651,8 +671,9 @@ export class Tetris {
             
             if (this.currentPiece.inPlayZone) {
                 // In play zone - use grid position
-                centerX = offsetX + (this.currentPiece.x + this.currentPiece.shape[0].length / 2) * CELL_SIZE;
-                centerY = offsetY + (this.currentPiece.y + this.currentPiece.shape.length / 2) * CELL_SIZE;
+                const bounds = getShapeBounds(this.currentPiece.shape);
+                centerX = offsetX + (this.currentPiece.x + bounds.centerX) * CELL_SIZE;
+                centerY = offsetY + (this.currentPiece.y + bounds.centerY) * CELL_SIZE;
             } else {
                 // In spawn zone - center horizontally, fall through spawn zone
                 centerX = offsetX + this.boardWidth / 2;
@@ -687,114 +708,45 @@ export class Tetris {
         });
     }
 
-    dropPiece() {
-        if (!this.currentPiece || this.currentPiece.isGrabbed) return;
-
-        if (this.currentPiece.y < 0) {
-            // Still in spawn zone, just move down
-            this.currentPiece.y++;
-            if (this.currentPiece.y >= 0) {
-                this.currentPiece.inPlayZone = true;
-            }
-        } else if (this.canMove(0, 1)) {
-            this.currentPiece.y++;
-        } else {
-            this.lockPiece();
-            this.clearLines();
-            this.spawnPiece();
+    getGrabbedPieceColor(side) {
+        const interaction = this.interactionState[side];
+        if (interaction.target && interaction.state === INTERACTION_STATES.DRAGGING) {
+            return interaction.target.color;
         }
+        return null;
     }
 
-    hardDrop() {
-        if (!this.currentPiece) return;
-        
-        // Drop piece all the way down
-        while (this.canMove(0, 1)) {
-            this.currentPiece.y++;
-        }
+    // Hand overlay for the app host - target line end, hand color and what the grab is doing
+    describeHand(side) {
+        const interaction = this.interactionState[side];
+        const target = interaction.target;
+        let action = null;
+        let hint = null;
         
-        // Lock immediately
-        this.lockPiece();
-        this.clearLines();
-        this.spawnPiece();
-    }
-
-    canMove(dx, dy) {
-        const piece = this.currentPiece;
-        if (!piece) return false;
-
-        for (let row = 0; row < piece.shape.length; row++) {
-            for (let col = 0; col < piece.shape[row].length; col++) {
-                if (piece.shape[row][col]) {
-                    const newX = piece.x + col + dx;
-                    const newY = piece.y + row + dy;
-
-                    if (newX < 0 || newX >= COLS || newY >= ROWS) {
-                        return false;
-                    }
-
-                    if (newY >= 0 && this.board[newY][newX]) {
-                        return false;
-                    }
-                }
-            }
-        }
-        return true;
-    }
-
-    canPlace(piece) {
-        for (let row = 0; row < piece.shape.length; row++) {
-            for (let col = 0; col < piece.shape[row].length; col++) {
-                if (piece.shape[row][col]) {
-                    const boardX = piece.x + col;
-                    const boardY = piece.y + row;
-                    
-                    if (boardX < 0 || boardX >= COLS || boardY >= ROWS) {
-                        return false;
-                    }
-                    
-                    if (boardY >= 0 && this.board[boardY][boardX]) {
-                        return false;
-                    }
-                }
-            }
-        }
-        return true;
-    }
-
-    lockPiece() {
-        const piece = this.currentPiece;
-        if (!piece) return;
-
-        for (let row = 0; row < piece.shape.length; row++) {
-            for (let col = 0; col < piece.shape[row].length; col++) {
-                if (piece.shape[row][col]) {
-                    const boardY = piece.y + row;
-                    const boardX = piece.x + col;
-                    if (boardY >= 0 && boardY < ROWS) {
-                        this.board[boardY][boardX] = piece.type;
-                    }
+        if (interaction.state === INTERACTION_STATES.DRAGGING || interaction.state === INTERACTION_STATES.GRABBING) {
+            if (interaction.isPlayZoneGrab) {
+                const other = this.interactionState[side === 'left' ? 'right' : 'left'];
+                const isTwoHanded = other.isPlayZoneGrab && other.state === INTERACTION_STATES.DRAGGING;
+                
+                if (isTwoHanded) {
+                    // Two-handed mode - show role from the control mapping
+                    action = this.getHandRole(side) === 'move' ? 'MOVE ← →' : 'ROTATE ↻';
+                } else {
+                    action = 'CONTROL_ACTIVE';
+                    hint = `${ROTATION_HINTS[this.settings.rotationMethod]}  DRAG=MOVE`;
                 }
+            } else {
+                // Spawn zone or hold - can drag freely
+                action = interaction.state === INTERACTION_STATES.DRAGGING ? 'MOVING_TO_HOLD' : 'LOCK_ACQUIRED';
             }
         }
-    }
-
-    clearLines() {
-        for (let row = ROWS - 1; row >= 0; row--) {
-            if (this.board[row].every(cell => cell !== 0)) {
-                this.board.splice(row, 1);
-                this.board.unshift(Array(COLS).fill(0));
-                row++;
-            }
-        }
-    }
-
-    getGrabbedPieceColor(side) {
-        const interaction = this.interactionState[side];
-        if (interaction.target && interaction.state === INTERACTION_STATES.DRAGGING) {
-            return interaction.target.color;
-        }
-        return null;
+        
+        return {
+            target: target ? { x: target.screenX, y: target.screenY, color: target.color } : null,
+            color: this.getGrabbedPieceColor(side),
+            action,
+            hint
+        };
     }
 
     draw(ctx, canvasWidth, canvasHeight) {
@@ -837,7 +789,7 @@ export class Tetris {
         ctx.font = '8px "JetBrains Mono"';
         ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
         ctx.textAlign = 'left';
-        ctx.fillText('PLAY ZONE - TWIST TO ROTATE', offsetX + 5, offsetY + 12);
+        ctx.fillText(`PLAY ZONE - ${this.settings.rotationMethod.toUpperCase()} TO ROTATE`, offsetX + 5, offsetY + 12);
 
         // Grid lines
         ctx.strokeStyle = 'rgba(0, 0, 0, 0.05)';
@@ -868,10 +820,21 @@ export class Tetris {
 
         // Draw current piece
         if (this.currentPiece) {
+            if (this.settings.showGhost) {
+                this.drawGhost(ctx, this.currentPiece, offsetX, offsetY);
+            }
+            
             this.drawPiece(ctx, this.currentPiece, offsetX, offsetY);
             
             // Draw rotation circle if piece is being controlled in play zone
             this.drawRotationCircle(ctx);
+            
+            // Lock delay countdown along the board floor
+            const lockProgress = this.core.getLockProgress();
+            if (lockProgress > 0) {
+                ctx.fillStyle = this.currentPiece.color + '88';
+                ctx.fillRect(offsetX, offsetY + this.boardHeight + 4, this.boardWidth * (1 - lockProgress), 2);
+            }
         }
 
         // Corner accents
@@ -879,11 +842,88 @@ export class Tetris {
 
         // Draw holds
         this.drawHolds(ctx);
+        
+        // Upcoming pieces beside the spawn zone
+        this.drawNextQueue(ctx);
+        
+        // Ready / paused / game over banner over the board
+        this.drawGameStateOverlay(ctx);
+    }
+
+    drawNextQueue(ctx) {
+        const { offsetX, spawnZoneTop } = this.layout;
+        const x = offsetX + this.boardWidth + 24;
+        let y = spawnZoneTop + 20;
+        
+        ctx.font = '8px "JetBrains Mono"';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        ctx.textAlign = 'left';
+        ctx.fillText('NEXT', x, y);
+        y += 10;
+        
+        const visible = this.nextQueue.slice(0, this.core.options.previewCount);
+        visible.forEach((type, i) => {
+            const shape = SHAPES[type];
+            const color = SHAPE_COLORS[type];
+            const { minRow, minCol, height } = getShapeBounds(shape);
+            
+            for (let row = 0; row < shape.length; row++) {
+                for (let col = 0; col < shape[row].length; col++) {
+                    if (shape[row][col]) {
+                        const cx = x + (col - minCol) * NEXT_CELL_SIZE;
+                        const cy = y + (row - minRow) * NEXT_CELL_SIZE;
+                        // First in line is drawn solid, the rest dimmed
+                        ctx.fillStyle = color + (i === 0 ? '33' : '11');
+                        ctx.fillRect(cx + 1, cy + 1, NEXT_CELL_SIZE - 2, NEXT_CELL_SIZE - 2);
+                        ctx.strokeStyle = color + (i === 0 ? '' : '55');
+                        ctx.lineWidth = 1;
+                        ctx.strokeRect(cx + 1, cy + 1, NEXT_CELL_SIZE - 2, NEXT_CELL_SIZE - 2);
+                    }
+                }
+            }
+            y += height * NEXT_CELL_SIZE + 12;
+        });
+    }
+
+    drawGameStateOverlay(ctx) {
+        if (this.gameState === GAME_STATES.PLAYING) return;
+        
+        const { offsetX, offsetY } = this.layout;
+        const cx = offsetX + this.boardWidth / 2;
+        const cy = offsetY + this.boardHeight / 2;
+        
+        const titles = {
+            [GAME_STATES.READY]: 'READY',
+            [GAME_STATES.PAUSED]: 'PAUSED',
+            [GAME_STATES.GAME_OVER]: 'GAME OVER'
+        };
+        const hints = {
+            [GAME_STATES.READY]: 'PRESS SPACE OR INITIALIZE',
+            [GAME_STATES.PAUSED]: 'P / HOLD BOTH HANDS PINCHED TO RESUME',
+            [GAME_STATES.GAME_OVER]: 'R / HOLD BOTH HANDS PINCHED TO RESTART'
+        };
+        
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillRect(offsetX, offsetY, this.boardWidth, this.boardHeight);
+        
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 16px "Orbitron"';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillText(titles[this.gameState], cx, cy);
+        
+        ctx.font = '8px "JetBrains Mono"';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.fillText(hints[this.gameState], cx, cy + 20);
+        
+        if (this.gameState === GAME_STATES.GAME_OVER) {
+            ctx.fillText(`${this.gameOverReason} · SCORE ${this.score}`, cx, cy + 34);
+        }
     }
 
     drawPiece(ctx, piece, offsetX, offsetY) {
-        const centerOffsetX = (piece.shape[0].length * CELL_SIZE) / 2;
-        const centerOffsetY = (piece.shape.length * CELL_SIZE) / 2;
+        const bounds = getShapeBounds(piece.shape);
+        const centerOffsetX = bounds.centerX * CELL_SIZE;
+        const centerOffsetY = bounds.centerY * CELL_SIZE;
         
         if (piece.isGrabbed) {
             // Draw at screen position when grabbed
@@ -923,6 +963,50 @@ export class Tetris {
         }
     }
 
+    drawGhost(ctx, piece, offsetX, offsetY) {
+        const ghostY = this.core.getGhostY();
+        if (ghostY === null || ghostY === piece.y) return;
+        
+        for (let col = 0; col < piece.shape[0].length; col++) {
+            // Lowest filled cell of this column, for the drop shadow
+            let bottomRow = -1;
+            for (let row = 0; row < piece.shape.length; row++) {
+                if (piece.shape[row][col]) {
+                    bottomRow = row;
+                    
+                    const x = offsetX + (piece.x + col) * CELL_SIZE;
+                    const y = offsetY + (ghostY + row) * CELL_SIZE;
+                    if (y >= offsetY) {
+                        this.drawGhostCell(ctx, x, y, piece.color);
+                    }
+                }
+            }
+            if (bottomRow === -1) continue;
+            
+            // Shadow projected from the piece down to its ghost
+            const shadowTop = Math.max(offsetY + (piece.y + bottomRow + 1) * CELL_SIZE, offsetY);
+            const shadowBottom = offsetY + (ghostY + bottomRow) * CELL_SIZE;
+            if (shadowBottom > shadowTop) {
+                const gradient = ctx.createLinearGradient(0, shadowTop, 0, shadowBottom);
+                gradient.addColorStop(0, piece.color + '14');
+                gradient.addColorStop(1, piece.color + '00');
+                ctx.fillStyle = gradient;
+                ctx.fillRect(offsetX + (piece.x + col) * CELL_SIZE + 2, shadowTop, CELL_SIZE - 4, shadowBottom - shadowTop);
+            }
+        }
+    }
+
+    drawGhostCell(ctx, x, y, color) {
+        const inset = 3;
+        const size = CELL_SIZE - inset * 2;
+        
+        ctx.strokeStyle = color + '88';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 2]);
+        ctx.strokeRect(x + inset, y + inset, size, size);
+        ctx.setLineDash([]);
+    }
+
     drawHolds(ctx) {
         this.holds.forEach((hold, idx) => {
             const isTargeted = hold.isTargeted;
@@ -961,8 +1045,9 @@ export class Tetris {
             // Draw pieces in this hold
             hold.pieces.forEach((piece, pieceIdx) => {
                 if (!piece.isGrabbed) {
-                    const centerOffsetX = (piece.shape[0].length * CELL_SIZE) / 2;
-                    const centerOffsetY = (piece.shape.length * CELL_SIZE) / 2;
+                    const bounds = getShapeBounds(piece.shape);
+                    const centerOffsetX = bounds.centerX * CELL_SIZE;
+                    const centerOffsetY = bounds.centerY * CELL_SIZE;
                     
                     // Slight transparency for stacked pieces (except top)
                     const isTop = pieceIdx === hold.pieces.length - 1;
@@ -1004,6 +1089,7 @@ export class Tetris {
         });
     }
     
+
     isInHoldBounds(hold) {
         const handPos = this.getHandPosition();
         if (!handPos) return false;
@@ -1020,6 +1106,11 @@ export class Tetris {
                 interaction.state === INTERACTION_STATES.DRAGGING &&
                 interaction.pieceCenter) {
                 
+                if (this.settings.rotationMethod === ROTATION_METHODS.TWIST) {
+                    this.drawTwistDial(ctx, interaction);
+                    break;
+                }
+                
                 const cx = interaction.pieceCenter.x;
                 const cy = interaction.pieceCenter.y;
                 const radius = interaction.circleRadius || 70;
@@ -1074,6 +1165,49 @@ export class Tetris {
         }
     }
 
+    // Twist mode: dial with the grab angle at the top, detents at ±45° and an arc for the current turn
+    drawTwistDial(ctx, interaction) {
+        const cx = interaction.pieceCenter.x;
+        const cy = interaction.pieceCenter.y;
+        const radius = interaction.circleRadius || 70;
+        const top = -Math.PI / 2;
+        const delta = (interaction.twistDelta || 0) * Math.PI / 180;
+        const flashing = this.core.currentTime - interaction.lastRotateTime < DETENT_FLASH;
+
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.12)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Detent ticks
+        [-1, 1].forEach(direction => {
+            const tickAngle = top + direction * TWIST_DETENT * Math.PI / 180;
+            ctx.beginPath();
+            ctx.moveTo(cx + Math.cos(tickAngle) * (radius - 6), cy + Math.sin(tickAngle) * (radius - 6));
+            ctx.lineTo(cx + Math.cos(tickAngle) * (radius + 6), cy + Math.sin(tickAngle) * (radius + 6));
+            ctx.strokeStyle = flashing ? 'rgba(0, 0, 0, 0.6)' : 'rgba(0, 0, 0, 0.25)';
+            ctx.lineWidth = flashing ? 3 : 1.5;
+            ctx.stroke();
+        });
+
+        // Turn so far - fills towards a tick
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, Math.min(top, top + delta), Math.max(top, top + delta));
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+
+        const handX = cx + Math.cos(top + delta) * radius;
+        const handY = cy + Math.sin(top + delta) * radius;
+        ctx.beginPath();
+        ctx.arc(handX, handY, 3, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.fill();
+    }
+
     drawCornerAccents(ctx, offsetX, offsetY) {
         const s = 8;
         ctx.strokeStyle = 'rgba(0, 0, 0, 0.4)';
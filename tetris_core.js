@@ -0,0 +1,647 @@
+/**
+ * Tetris Core - pure, tick-driven game rules
+ * No DOM, canvas or wall clock: time only advances through tick()/step() (or an injected clock)
+ * and randomness comes from an injected rng or seed, so board, hold and spawn logic runs headless in Node
+ */
+
+import { createGenerator, createSeededRandom, GENERATOR_MODES } from './randomizer.js';
+import { ROTATION, rotateMatrix, getKickTests, nextOrientation } from './srs.js';
+
+export const COLS = 10;
+export const ROWS = 20;
+export const SPAWN_TICKS = 6; // Number of ticks piece stays in spawn zone (grabbable)
+export const MAX_HOLDS = 6; // 3 on left, 3 on right
+export const MAX_PER_HOLD = 3;
+const HOLD_SPAWN_DELAY = 2000; // Spawn new piece after 2 seconds of holding
+const SOFT_DROP_INTERVAL = 45; // Gravity while soft dropping
+
+// Scoring & levels
+const LINE_CLEAR_POINTS = [0, 100, 300, 500, 800]; // Indexed by lines cleared, scaled by level
+const HARD_DROP_POINTS = 2; // Per cell dropped
+const SOFT_DROP_POINTS = 1; // Per cell soft dropped
+const LINES_PER_LEVEL = 10;
+const BASE_DROP_INTERVAL = 600;
+const MIN_DROP_INTERVAL = 80;
+const DROP_INTERVAL_STEP = 55; // Faster falling per level
+
+// Tetromino shapes - SRS spawn orientation inside their square rotation boxes
+export const SHAPES = {
+    I: [[0, 0, 0, 0], [1, 1, 1, 1], [0, 0, 0, 0], [0, 0, 0, 0]],
+    O: [[1, 1], [1, 1]],
+    T: [[0, 1, 0], [1, 1, 1], [0, 0, 0]],
+    S: [[0, 1, 1], [1, 1, 0], [0, 0, 0]],
+    Z: [[1, 1, 0], [0, 1, 1], [0, 0, 0]],
+    J: [[1, 0, 0], [1, 1, 1], [0, 0, 0]],
+    L: [[0, 0, 1], [1, 1, 1], [0, 0, 0]]
+};
+
+export const SHAPE_COLORS = {
+    I: '#00CED1',
+    O: '#FFD700',
+    T: '#9370DB',
+    S: '#32CD32',
+    Z: '#FF6347',
+    J: '#4169E1',
+    L: '#FF8C00'
+};
+
+// What letting go of a play-zone grab does
+export const RELEASE_BEHAVIOURS = {
+    HARD_DROP: 'hardDrop', // Slam to the ghost and lock
+    SOFT_DROP: 'softDrop', // Keep soft dropping until the piece locks
+    NONE: 'none' // Just let go, normal gravity continues
+};
+
+export const GAME_STATES = {
+    READY: 'READY',
+    PLAYING: 'PLAYING',
+    PAUSED: 'PAUSED',
+    GAME_OVER: 'GAME_OVER'
+};
+
+export class TetrisCore {
+    constructor(options = {}) {
+        // generator: 'bag' | 'uniform', seed: same seed gives the same piece sequence
+        // rng: () => [0, 1) overrides seed, clock: () => ms used when tick() is called without a time
+        // onEvent: (message) => void for lifecycle/level events
+        this.options = {
+            generator: GENERATOR_MODES.BAG,
+            seed: null,
+            previewCount: 3,
+            rng: null,
+            clock: null,
+            onEvent: null,
+            ...options
+        };
+
+        // Gameplay rules - see applySettings()
+        this.settings = {
+            lockDelay: 500, // ms a grounded piece can still slide before locking
+            lockResetLimit: 15, // Moves/rotations that may restart the lock delay
+            releaseBehaviour: RELEASE_BEHAVIOURS.HARD_DROP
+        };
+
+        this.currentTime = 0;
+        this.reset();
+    }
+
+    reset() {
+        this.gameState = GAME_STATES.READY;
+        this.gameOverReason = null;
+        this.pausedAt = 0;
+
+        this.board = this.createEmptyBoard();
+        this.currentPiece = null;
+        this.lastDropTime = this.currentTime;
+        this.dropInterval = BASE_DROP_INTERVAL;
+
+        // Lock delay - reset for every new piece
+        this.lockState = { active: false, startTime: 0, resets: 0 };
+        this.softDropRequested = false; // Set by input each tick, cleared after gravity
+        this.softDropLatched = false; // Released with SOFT_DROP behaviour
+
+        // Score state
+        this.score = 0;
+        this.level = 1;
+        this.lines = 0;
+        this.clearCounts = { single: 0, double: 0, triple: 0, tetris: 0 };
+
+        // Hold slots - 6 holds: 1-3 on left, 4-6 on right
+        this.holds = Array.from({ length: MAX_HOLDS }, (_, i) => ({
+            pieces: [],
+            type: null,
+            side: i < MAX_HOLDS / 2 ? 'left' : 'right'
+        }));
+
+        // Track when piece was last held (for delayed spawn)
+        this.lastHoldTime = 0;
+        this.pendingSpawn = false;
+
+        // Piece sequence - rebuilt on reset so a seeded game replays identically
+        const { rng, seed } = this.options;
+        const random = rng || (seed === null || seed === undefined ? Math.random : createSeededRandom(seed));
+        this.generator = createGenerator(this.options.generator, Object.keys(SHAPES), random);
+        this.nextQueue = [];
+        this.fillNextQueue();
+
+        this.spawnPiece();
+    }
+
+    applySettings(settings) {
+        Object.keys(this.settings).forEach(key => {
+            if (settings[key] !== undefined) {
+                this.settings[key] = settings[key];
+            }
+        });
+    }
+
+    setGenerator(mode, seed = null) {
+        this.options.generator = mode;
+        this.options.seed = seed;
+        this.reset();
+    }
+
+    emit(message) {
+        if (this.options.onEvent) this.options.onEvent(message);
+    }
+
+    now() {
+        return this.options.clock ? this.options.clock() : this.currentTime;
+    }
+
+    fillNextQueue() {
+        while (this.nextQueue.length < Math.max(1, this.options.previewCount)) {
+            this.nextQueue.push(this.generator.next());
+        }
+    }
+
+    takeNextType() {
+        const type = this.nextQueue.shift();
+        this.fillNextQueue();
+        return type;
+    }
+
+    start(currentTime = this.now()) {
+        if (this.gameState !== GAME_STATES.READY) return;
+        this.currentTime = currentTime;
+        this.gameState = GAME_STATES.PLAYING;
+        this.lastDropTime = currentTime;
+        this.emit('GAME_START');
+    }
+
+    pause(currentTime = this.now()) {
+        if (this.gameState !== GAME_STATES.PLAYING) return;
+        this.gameState = GAME_STATES.PAUSED;
+        this.pausedAt = currentTime;
+        this.emit('GAME_PAUSED');
+    }
+
+    resume(currentTime = this.now()) {
+        if (this.gameState !== GAME_STATES.PAUSED) return;
+        // Shift timers so the pause doesn't count towards gravity or hold spawn delay
+        const pausedFor = currentTime - this.pausedAt;
+        this.lastDropTime += pausedFor;
+        this.lastHoldTime += pausedFor;
+        this.lockState.startTime += pausedFor;
+        this.currentTime = currentTime;
+        this.gameState = GAME_STATES.PLAYING;
+        this.emit('GAME_RESUMED');
+    }
+
+    togglePause(currentTime = this.now()) {
+        if (this.gameState === GAME_STATES.PLAYING) {
+            this.pause(currentTime);
+        } else if (this.gameState === GAME_STATES.PAUSED) {
+            this.resume(currentTime);
+        }
+    }
+
+    restart(currentTime = this.now()) {
+        this.reset();
+        this.start(currentTime);
+    }
+
+    endGame(reason) {
+        if (this.gameState === GAME_STATES.GAME_OVER) return;
+        this.gameState = GAME_STATES.GAME_OVER;
+        this.gameOverReason = reason;
+        this.emit(`GAME_OVER: ${reason} SCORE:${this.score}`);
+    }
+
+    // Advance the simulation to currentTime: spawn delay, gravity and lock delay
+    tick(currentTime = this.now()) {
+        this.currentTime = currentTime;
+
+        if (this.gameState !== GAME_STATES.PLAYING) {
+            this.softDropRequested = false;
+            return;
+        }
+
+        // Check if current piece has entered play zone
+        if (this.currentPiece && !this.currentPiece.inPlayZone && !this.currentPiece.isGrabbed) {
+            if (this.currentPiece.y >= 0) {
+                this.currentPiece.inPlayZone = true;
+            }
+        }
+
+        // Spawn new piece after hold delay
+        if (this.pendingSpawn && !this.currentPiece) {
+            if (currentTime - this.lastHoldTime >= HOLD_SPAWN_DELAY) {
+                this.spawnPiece();
+                this.pendingSpawn = false;
+            }
+        }
+
+        // Auto-drop only if piece is not grabbed and exists
+        if (this.currentPiece && !this.currentPiece.isGrabbed) {
+            const softDrop = this.softDropRequested || this.softDropLatched;
+            const interval = softDrop ? Math.min(this.dropInterval, SOFT_DROP_INTERVAL) : this.dropInterval;
+
+            if (currentTime - this.lastDropTime > interval) {
+                this.lastDropTime = currentTime;
+                if (this.dropPiece() && softDrop) {
+                    this.score += SOFT_DROP_POINTS;
+                }
+            }
+
+            this.updateLockDelay(currentTime);
+        }
+
+        this.softDropRequested = false;
+    }
+
+    step(deltaTime) {
+        this.tick(this.currentTime + deltaTime);
+    }
+
+    requestSoftDrop() {
+        this.softDropRequested = true;
+    }
+
+    createEmptyBoard() {
+        return Array.from({ length: ROWS }, () => Array(COLS).fill(0));
+    }
+
+    spawnPiece() {
+        const type = this.takeNextType();
+        const shape = SHAPES[type];
+
+        this.currentPiece = {
+            type,
+            shape: JSON.parse(JSON.stringify(shape)),
+            rotation: 0,
+            x: Math.floor((COLS - shape[0].length) / 2),
+            y: -SPAWN_TICKS - shape.length, // Start high in spawn zone for grab time
+            color: SHAPE_COLORS[type],
+            isGrabbed: false,
+            inPlayZone: false // Track if piece has entered play zone
+        };
+        this.lockState = { active: false, startTime: 0, resets: 0 };
+        this.softDropLatched = false;
+
+        // Block out - the stack already fills the top rows the new piece would enter through.
+        // The spawn zone itself is above the board, where canPlace() sees nothing
+        if (!this.canPlace({ ...this.currentPiece, y: 0 })) {
+            this.endGame('BLOCK_OUT');
+        }
+    }
+
+    rotatePiece(piece, direction = ROTATION.CW) {
+        if (!piece || piece.type === 'O') return false;
+
+        const from = piece.rotation;
+        const to = nextOrientation(from, direction);
+        const oldShape = piece.shape;
+        const oldX = piece.x;
+        const oldY = piece.y;
+        piece.shape = rotateMatrix(oldShape, direction);
+
+        // SRS wall kicks - first test that fits wins (kick y is up, board y is down)
+        for (const [kickX, kickY] of getKickTests(piece.type, from, to)) {
+            piece.x = oldX + kickX;
+            piece.y = oldY - kickY;
+            if (this.canPlace(piece)) {
+                piece.rotation = to;
+                if (piece === this.currentPiece) {
+                    this.resetLockDelay();
+                }
+                return true;
+            }
+        }
+
+        // No kick fits - revert
+        piece.shape = oldShape;
+        piece.x = oldX;
+        piece.y = oldY;
+        return false;
+    }
+
+    rotatePieceCW(piece = this.currentPiece) {
+        return this.rotatePiece(piece, ROTATION.CW);
+    }
+
+    rotatePieceCCW(piece = this.currentPiece) {
+        return this.rotatePiece(piece, ROTATION.CCW);
+    }
+
+    movePiece(direction) {
+        if (!this.canMove(direction, 0)) return false;
+        this.currentPiece.x += direction;
+        this.resetLockDelay();
+        return true;
+    }
+
+    // Returns true if the piece moved down a row
+    dropPiece() {
+        if (!this.currentPiece || this.currentPiece.isGrabbed) return false;
+
+        if (this.canMove(0, 1)) {
+            // Cells still above the board are ignored, so this also covers the spawn zone
+            this.currentPiece.y++;
+            if (this.currentPiece.y >= 0) {
+                this.currentPiece.inPlayZone = true;
+            }
+            return true;
+        }
+
+        // Grounded - start the lock delay instead of locking straight away
+        if (!this.lockState.active) {
+            this.lockState.active = true;
+            this.lockState.startTime = this.currentTime;
+        }
+        return false;
+    }
+
+    updateLockDelay(currentTime) {
+        if (!this.lockState.active) return;
+
+        // Slid off a ledge - falling again
+        if (this.canMove(0, 1)) {
+            this.lockState.active = false;
+            return;
+        }
+
+        if (currentTime - this.lockState.startTime >= this.settings.lockDelay) {
+            this.lockAndSpawn();
+        }
+    }
+
+    resetLockDelay() {
+        if (!this.lockState.active) return;
+        if (this.lockState.resets >= this.settings.lockResetLimit) return;
+        this.lockState.startTime = this.currentTime;
+        this.lockState.resets++;
+    }
+
+    getLockProgress() {
+        if (!this.lockState.active) return 0;
+        return Math.min((this.currentTime - this.lockState.startTime) / this.settings.lockDelay, 1);
+    }
+
+    applyReleaseBehaviour() {
+        switch (this.settings.releaseBehaviour) {
+            case RELEASE_BEHAVIOURS.HARD_DROP:
+                this.hardDrop();
+                break;
+            case RELEASE_BEHAVIOURS.SOFT_DROP:
+                this.softDropLatched = true;
+                break;
+            default:
+                // NONE - piece keeps falling under normal gravity
+                break;
+        }
+    }
+
+    lockAndSpawn() {
+        this.lockPiece();
+        if (this.gameState === GAME_STATES.GAME_OVER) return;
+        this.clearLines();
+        this.spawnPiece();
+    }
+
+    hardDrop() {
+        if (!this.currentPiece) return;
+
+        // Drop piece all the way down
+        let distance = 0;
+        while (this.canMove(0, 1)) {
+            this.currentPiece.y++;
+            distance++;
+        }
+        this.score += distance * HARD_DROP_POINTS;
+
+        // Lock immediately - hard drop skips the lock delay
+        this.lockAndSpawn();
+    }
+
+    getGhostY() {
+        const piece = this.currentPiece;
+        if (!piece || !piece.inPlayZone || piece.isGrabbed) return null;
+
+        let dy = 0;
+        while (this.canMove(0, dy + 1)) {
+            dy++;
+        }
+        return piece.y + dy;
+    }
+
+    canMove(dx, dy) {
+        const piece = this.currentPiece;
+        if (!piece) return false;
+
+        for (let row = 0; row < piece.shape.length; row++) {
+            for (let col = 0; col < piece.shape[row].length; col++) {
+                if (piece.shape[row][col]) {
+                    const newX = piece.x + col + dx;
+                    const newY = piece.y + row + dy;
+
+                    if (newX < 0 || newX >= COLS || newY >= ROWS) {
+                        return false;
+                    }
+
+                    if (newY >= 0 && this.board[newY][newX]) {
+                        return false;
+                    }
+                }
+            }
+        }
+        return true;
+    }
+
+    canPlace(piece) {
+        for (let row = 0; row < piece.shape.length; row++) {
+            for (let col = 0; col < piece.shape[row].length; col++) {
+                if (piece.shape[row][col]) {
+                    const boardX = piece.x + col;
+                    const boardY = piece.y + row;
+
+                    if (boardX < 0 || boardX >= COLS || boardY >= ROWS) {
+                        return false;
+                    }
+
+                    if (boardY >= 0 && this.board[boardY][boardX]) {
+                        return false;
+                    }
+                }
+            }
+        }
+        return true;
+    }
+
+    lockPiece() {
+        const piece = this.currentPiece;
+        if (!piece) return;
+
+        let lockedAbove = false;
+        for (let row = 0; row < piece.shape.length; row++) {
+            for (let col = 0; col < piece.shape[row].length; col++) {
+                if (piece.shape[row][col]) {
+                    const boardY = piece.y + row;
+                    const boardX = piece.x + col;
+                    if (boardY >= 0 && boardY < ROWS) {
+                        this.board[boardY][boardX] = piece.type;
+                    } else if (boardY < 0) {
+                        lockedAbove = true;
+                    }
+                }
+            }
+        }
+
+        // Lock out - part of the piece came to rest above row 0
+        if (lockedAbove) {
+            this.endGame('LOCK_OUT');
+        }
+    }
+
+    clearLines() {
+        let cleared = 0;
+        for (let row = ROWS - 1; row >= 0; row--) {
+            if (this.board[row].every(cell => cell !== 0)) {
+                this.board.splice(row, 1);
+                this.board.unshift(Array(COLS).fill(0));
+                row++;
+                cleared++;
+            }
+        }
+
+        if (cleared > 0) {
+            this.registerLineClear(cleared);
+        }
+        return cleared;
+    }
+
+    registerLineClear(count) {
+        const kind = ['single', 'double', 'triple', 'tetris'][Math.min(count, 4) - 1];
+        this.clearCounts[kind]++;
+        this.score += LINE_CLEAR_POINTS[Math.min(count, 4)] * this.level;
+        this.lines += count;
+
+        // Level up every LINES_PER_LEVEL lines, speeding up gravity
+        const newLevel = Math.floor(this.lines / LINES_PER_LEVEL) + 1;
+        if (newLevel !== this.level) {
+            this.level = newLevel;
+            this.dropInterval = Math.max(
+                MIN_DROP_INTERVAL,
+                BASE_DROP_INTERVAL - (this.level - 1) * DROP_INTERVAL_STEP
+            );
+            this.emit(`LEVEL_UP: ${this.level}`);
+        }
+    }
+
+    get stats() {
+        return {
+            score: this.score,
+            level: this.level,
+            lines: this.lines,
+            ...this.clearCounts
+        };
+    }
+
+    canAddToHold(hold, piece) {
+        return hold.pieces.length < MAX_PER_HOLD &&
+               (hold.type === null || hold.type === piece.type);
+    }
+
+    // Put a piece (current or from another hold) into a hold slot; false if it doesn't fit
+    holdPiece(piece, holdIndex) {
+        const hold = this.holds[holdIndex];
+        if (!hold || !this.canAddToHold(hold, piece)) return false;
+
+        // Remove piece from its current location
+        if (piece === this.currentPiece) {
+            this.currentPiece = null;
+            // Mark that we need to spawn after delay
+            this.lastHoldTime = this.currentTime;
+            this.pendingSpawn = true;
+        } else {
+            // Remove from any hold it might be in
+            this.removeFromHolds(piece);
+        }
+
+        piece.inPlayZone = false;
+        hold.pieces.push(piece);
+        hold.type = piece.type;
+        return true;
+    }
+
+    // Bring a held piece back to the top of the spawn zone, swapping with a spawn-zone current piece
+    releaseFromHold(piece) {
+        const sourceHold = this.findHoldContaining(piece);
+        if (!sourceHold) return false;
+
+        // Remove from hold
+        const idx = sourceHold.pieces.indexOf(piece);
+        sourceHold.pieces.splice(idx, 1);
+        if (sourceHold.pieces.length === 0) {
+            sourceHold.type = null; // Reset type when empty
+        }
+
+        // Swap with current piece if it's in spawn zone
+        if (this.currentPiece && !this.currentPiece.inPlayZone) {
+            // Try to put current piece in the same hold
+            if (this.canAddToHold(sourceHold, this.currentPiece)) {
+                this.currentPiece.inPlayZone = false;
+                sourceHold.pieces.push(this.currentPiece);
+                sourceHold.type = this.currentPiece.type;
+            }
+        }
+
+        // Make released piece the current piece
+        this.makeCurrent(piece);
+        return true;
+    }
+
+    // Classic one-button hold - trade the current piece for the newest piece in a hold
+    swapHold(holdIndex = 0) {
+        const piece = this.currentPiece;
+        const hold = this.holds[holdIndex];
+        if (!piece || !hold) return false;
+        if (hold.pieces.length === 0) return this.holdPiece(piece, holdIndex);
+
+        const held = hold.pieces.pop();
+        if (hold.pieces.length === 0) hold.type = null;
+        if (!this.canAddToHold(hold, piece)) {
+            hold.pieces.push(held);
+            hold.type = held.type;
+            return false;
+        }
+
+        piece.inPlayZone = false;
+        piece.isGrabbed = false;
+        hold.pieces.push(piece);
+        hold.type = piece.type;
+        this.makeCurrent(held);
+        return true;
+    }
+
+    // Back above the board in the spawn zone
+    makeCurrent(piece) {
+        this.currentPiece = piece;
+        piece.x = Math.floor((COLS - piece.shape[0].length) / 2);
+        piece.y = -SPAWN_TICKS - piece.shape.length;
+        piece.inPlayZone = false;
+        this.lockState = { active: false, startTime: 0, resets: 0 };
+    }
+
+    removeFromHolds(piece) {
+        for (let hold of this.holds) {
+            const idx = hold.pieces.indexOf(piece);
+            if (idx !== -1) {
+                hold.pieces.splice(idx, 1);
+                if (hold.pieces.length === 0) {
+                    hold.type = null;
+                }
+                return;
+            }
+        }
+    }
+
+    findHoldContaining(piece) {
+        for (let hold of this.holds) {
+            if (hold.pieces.includes(piece)) {
+                return hold;
+            }
+        }
+        return null;
+    }
+}
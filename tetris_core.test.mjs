@@ -0,0 +1,186 @@
+/**
+ * Tetris Core tests - headless, under Node's test runner: node --test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TetrisCore, GAME_STATES, SHAPES, SPAWN_TICKS, COLS, ROWS } from './tetris_core.js';
+
+function createCore(options = {}) {
+    return new TetrisCore({ seed: 'test', clock: () => 0, ...options });
+}
+
+// Types dealt by a fresh core, the current piece first
+function dealt(core, count) {
+    const types = [core.currentPiece.type];
+    while (types.length < count) types.push(core.takeNextType());
+    return types;
+}
+
+function fillRow(core, row, skip = []) {
+    for (let x = 0; x < COLS; x++) {
+        if (!skip.includes(x)) core.board[row][x] = 'Z';
+    }
+}
+
+function restOnStack(core) {
+    while (core.canMove(0, 1)) core.currentPiece.y++;
+}
+
+test('the same seed deals the same pieces', () => {
+    assert.deepEqual(dealt(createCore(), 28), dealt(createCore(), 28));
+    assert.notDeepEqual(dealt(createCore(), 28), dealt(createCore({ seed: 'other' }), 28));
+});
+
+test('the 7-bag deals every piece once per bag', () => {
+    const types = dealt(createCore(), 21);
+    for (let bag = 0; bag < 3; bag++) {
+        assert.deepEqual([...types.slice(bag * 7, bag * 7 + 7)].sort(), Object.keys(SHAPES).sort());
+    }
+});
+
+test('gravity drops the piece one row per interval from the spawn zone', () => {
+    const core = createCore();
+    core.start(0);
+    const piece = core.currentPiece;
+    assert.equal(piece.y, -SPAWN_TICKS - piece.shape.length);
+
+    core.tick(600);
+    assert.equal(piece.y, -SPAWN_TICKS - piece.shape.length);
+    core.tick(601);
+    assert.equal(piece.y, -SPAWN_TICKS - piece.shape.length + 1);
+});
+
+test('nothing moves before start or while paused', () => {
+    const core = createCore();
+    const y = core.currentPiece.y;
+    core.tick(5000);
+    assert.equal(core.currentPiece.y, y);
+
+    core.start(5000);
+    core.pause(5000);
+    core.tick(10000);
+    assert.equal(core.currentPiece.y, y);
+    core.resume(10000);
+    core.tick(10601);
+    assert.equal(core.currentPiece.y, y + 1);
+});
+
+test('a grounded piece locks once the lock delay has passed', () => {
+    const core = createCore();
+    core.start(0);
+    const piece = core.currentPiece;
+    restOnStack(core);
+
+    core.tick(700); // Gravity finds it grounded - the lock delay starts
+    assert.equal(core.lockState.active, true);
+    core.tick(1199);
+    assert.equal(core.currentPiece, piece);
+    core.tick(1200);
+    assert.notEqual(core.currentPiece, piece);
+    assert.ok(core.board[ROWS - 1].some(cell => cell === piece.type));
+});
+
+test('moving a grounded piece restarts the lock delay', () => {
+    const core = createCore();
+    core.start(0);
+    const piece = core.currentPiece;
+    restOnStack(core);
+
+    core.tick(700);
+    core.tick(1000);
+    assert.ok(core.movePiece(piece.x > 0 ? -1 : 1));
+    core.tick(1400);
+    assert.equal(core.currentPiece, piece);
+    core.tick(1500);
+    assert.notEqual(core.currentPiece, piece);
+});
+
+test('a four-line clear scores a tetris and the hard drop distance', () => {
+    const core = createCore();
+    core.start(0);
+    const piece = core.currentPiece;
+    piece.type = 'I';
+    piece.shape = SHAPES.I.map(row => [...row]);
+    piece.rotation = 0;
+    assert.ok(core.rotatePieceCW());
+    piece.y = -2; // 18 rows above where it lands
+
+    // Vertical I fills column x + 2 of its box
+    const column = piece.x + 2;
+    for (let row = ROWS - 4; row < ROWS; row++) fillRow(core, row, [column]);
+    core.hardDrop();
+
+    assert.equal(core.lines, 4);
+    assert.equal(core.clearCounts.tetris, 1);
+    assert.equal(core.score, 800 + 18 * 2);
+    assert.ok(core.board.every(row => row.every(cell => cell === 0)));
+});
+
+test('holding the current piece spawns the next one after the delay, releasing it trades them back', () => {
+    const core = createCore();
+    core.start(0);
+    const first = core.currentPiece;
+    const nextType = core.nextQueue[0];
+
+    assert.ok(core.holdPiece(first, 0));
+    assert.equal(core.currentPiece, null);
+    assert.equal(core.holds[0].type, first.type);
+
+    core.tick(1999);
+    assert.equal(core.currentPiece, null);
+    core.tick(2000);
+    assert.equal(core.currentPiece.type, nextType);
+
+    const second = core.currentPiece;
+    assert.ok(core.releaseFromHold(first));
+    assert.equal(core.currentPiece, first);
+    assert.deepEqual(core.holds[0].pieces, [second]);
+    assert.equal(first.y, -SPAWN_TICKS - first.shape.length);
+});
+
+test('a swap holds the current piece, or trades it for the newest held one', () => {
+    const core = createCore();
+    core.start(0);
+    const first = core.currentPiece;
+
+    assert.ok(core.swapHold(0));
+    assert.equal(core.currentPiece, null);
+    core.tick(2000);
+    const second = core.currentPiece;
+    second.y = 3;
+
+    assert.ok(core.swapHold(0));
+    assert.equal(core.currentPiece, first);
+    assert.deepEqual(core.holds[0].pieces, [second]);
+    assert.equal(first.y, -SPAWN_TICKS - first.shape.length);
+});
+
+test('a piece locking above the board ends the game with lock out', () => {
+    const core = createCore();
+    core.start(0);
+    const piece = core.currentPiece;
+    piece.type = 'O';
+    piece.shape = SHAPES.O.map(row => [...row]);
+    piece.x = 4;
+
+    // A tower under the piece reaching row 1 - no line is complete
+    for (let row = 1; row < ROWS; row++) {
+        for (let x = 3; x < 7; x++) core.board[row][x] = 'Z';
+    }
+    core.hardDrop();
+
+    assert.equal(core.gameState, GAME_STATES.GAME_OVER);
+    assert.equal(core.gameOverReason, 'LOCK_OUT');
+});
+
+test('a spawn into a full top of the board ends the game with block out', () => {
+    const core = createCore();
+    core.start(0);
+    fillRow(core, 0, [0]);
+    fillRow(core, 1, [0]);
+    core.spawnPiece();
+
+    assert.equal(core.gameState, GAME_STATES.GAME_OVER);
+    assert.equal(core.gameOverReason, 'BLOCK_OUT');
+});
@@ -0,0 +1,290 @@
+/**
+ * Virtual File System - in-memory tree behind the Spatial Shell
+ * Paths are absolute and '/'-separated. Permissions are ls-style strings ('drwxr-xr-x') and the shell
+ * acts as the owner, so the owner triplet decides: r to list or read, w on a directory to add or
+ * remove entries, x to pass through it. Operations throw a VFSError carrying an errno-style code.
+ * Successful changes are reported to onChange, which fs_backends.js uses to write them through.
+ * File contents are optional: loaded with the tree, fetched through loadContent on the first read,
+ * or missing (then reads fail). Sizes of files with contents are their UTF-8 length.
+ */
+
+export const VFS_ERRORS = {
+    NOT_FOUND: 'ENOENT',
+    EXISTS: 'EEXIST',
+    NOT_DIR: 'ENOTDIR',
+    IS_DIR: 'EISDIR',
+    PERMISSION: 'EACCES',
+    INVALID: 'EINVAL'
+};
+
+const ERROR_MESSAGES = {
+    [VFS_ERRORS.NOT_FOUND]: 'no such file or directory',
+    [VFS_ERRORS.EXISTS]: 'already exists',
+    [VFS_ERRORS.NOT_DIR]: 'not a directory',
+    [VFS_ERRORS.IS_DIR]: 'is a directory',
+    [VFS_ERRORS.PERMISSION]: 'permission denied',
+    [VFS_ERRORS.INVALID]: 'invalid operation'
+};
+
+export const DEFAULT_DIR_PERMISSIONS = 'drwxr-xr-x';
+export const DEFAULT_FILE_PERMISSIONS = '-rw-r--r--';
+
+export class VFSError extends Error {
+    constructor(code, path, detail = ERROR_MESSAGES[code]) {
+        super(`${path}: ${detail}`);
+        this.name = 'VFSError';
+        this.code = code;
+        this.path = path;
+    }
+}
+
+// Owner permission bits of an ls-style string
+export function canRead(entry) {
+    return entry.permissions[1] === 'r';
+}
+
+export function canWrite(entry) {
+    return entry.permissions[2] === 'w';
+}
+
+export function canEnter(entry) {
+    return entry.permissions[3] === 'x';
+}
+
+export function splitPath(path) {
+    return path.split('/').filter(part => part.length > 0);
+}
+
+export function joinPath(dir, name) {
+    return dir === '/' ? `/${name}` : `${dir}/${name}`;
+}
+
+export function dirname(path) {
+    const parts = splitPath(path);
+    return parts.length <= 1 ? '/' : `/${parts.slice(0, -1).join('/')}`;
+}
+
+export function basename(path) {
+    const parts = splitPath(path);
+    return parts.length ? parts[parts.length - 1] : '/';
+}
+
+export function byteLength(text) {
+    return new TextEncoder().encode(text).length;
+}
+
+function isValidName(name) {
+    return typeof name === 'string' && name.length > 0 && name !== '.' && name !== '..' && !name.includes('/');
+}
+
+// Entries: { name, type: 'dir' | 'file', permissions, size, children (dirs), content (files, optional) }
+function cloneEntry(entry) {
+    const copy = {
+        name: entry.name,
+        type: entry.type,
+        permissions: entry.permissions || (entry.type === 'dir' ? DEFAULT_DIR_PERMISSIONS : DEFAULT_FILE_PERMISSIONS),
+        size: entry.size || 0
+    };
+    if (entry.type === 'dir') copy.children = (entry.children || []).map(cloneEntry);
+    if (typeof entry.content === 'string') {
+        copy.content = entry.content;
+        copy.size = byteLength(entry.content);
+    }
+    return copy;
+}
+
+export class VirtualFS {
+    // tree: nested { name, type, permissions, size, children } starting at '/'
+    constructor(tree = { name: '/', type: 'dir', children: [] }) {
+        this.onChange = null; // (op, args) after each change, args as passed to the operation
+        this.loadContent = null; // async (path) -> text, for files whose contents didn't come with the tree
+        this.load(tree);
+    }
+
+    // Replaces the whole tree - nothing is reported
+    load(tree) {
+        this.root = cloneEntry({ ...tree, name: '/', type: 'dir' });
+    }
+
+    changed(op, args) {
+        if (this.onChange) this.onChange(op, args);
+    }
+
+    exists(path) {
+        try {
+            this.resolve(path);
+            return true;
+        } catch (error) {
+            if (error instanceof VFSError) return false;
+            throw error;
+        }
+    }
+
+    // { name, type, path, permissions, size, childCount } - childCount only counts for directories
+    stat(path) {
+        return this.describe(this.resolve(path), this.normalize(path));
+    }
+
+    list(path) {
+        const dir = this.resolveDir(path);
+        if (!canRead(dir)) throw new VFSError(VFS_ERRORS.PERMISSION, path);
+        const dirPath = this.normalize(path);
+        return dir.children.map(child => this.describe(child, joinPath(dirPath, child.name)));
+    }
+
+    // File contents as text - async, they may have to come from loadContent first
+    async read(path) {
+        const entry = this.resolve(path);
+        const normalized = this.normalize(path);
+        if (entry.type === 'dir') throw new VFSError(VFS_ERRORS.IS_DIR, normalized);
+        if (!canRead(entry)) throw new VFSError(VFS_ERRORS.PERMISSION, normalized);
+        if (typeof entry.content !== 'string') {
+            if (!this.loadContent) throw new VFSError(VFS_ERRORS.INVALID, normalized, 'contents not available');
+            entry.content = await this.loadContent(normalized);
+        }
+        return entry.content;
+    }
+
+    // Creates the file or replaces its contents - returns its path
+    writeFile(path, content) {
+        const { parent, name, entry } = this.resolveParent(path);
+        const normalized = this.normalize(path);
+        if (entry && entry.type === 'dir') throw new VFSError(VFS_ERRORS.IS_DIR, normalized);
+        if (!canEnter(parent)) throw new VFSError(VFS_ERRORS.PERMISSION, dirname(normalized));
+        if (entry && !canWrite(entry)) throw new VFSError(VFS_ERRORS.PERMISSION, normalized);
+        if (!entry) this.checkWritable(parent, dirname(normalized));
+
+        const file = entry || { name, type: 'file', permissions: DEFAULT_FILE_PERMISSIONS };
+        file.content = content;
+        file.size = byteLength(content);
+        if (!entry) parent.children.push(file);
+        this.changed('writeFile', [normalized, content]);
+        return normalized;
+    }
+
+    mkdir(path, permissions = DEFAULT_DIR_PERMISSIONS) {
+        const { parent, name } = this.resolveParent(path);
+        this.checkWritable(parent, dirname(path));
+        if (parent.children.some(child => child.name === name)) throw new VFSError(VFS_ERRORS.EXISTS, path);
+        parent.children.push({ name, type: 'dir', permissions, size: 0, children: [] });
+        const made = this.normalize(path);
+        this.changed('mkdir', [made, permissions]);
+        return made;
+    }
+
+    // Into an existing directory, keeping the name - returns the new path
+    move(path, toDir) {
+        const { parent, name, entry } = this.resolveParent(path, true);
+        const target = this.resolveDir(toDir);
+        const from = this.normalize(path);
+        const toDirPath = this.normalize(toDir);
+        const to = joinPath(toDirPath, name);
+
+        if (to === from) return from;
+        if (toDirPath === from || toDirPath.startsWith(`${from}/`)) {
+            throw new VFSError(VFS_ERRORS.INVALID, from, 'cannot move a directory into itself');
+        }
+        this.checkWritable(parent, dirname(from));
+        this.checkWritable(target, toDir);
+        if (target.children.some(child => child.name === name)) throw new VFSError(VFS_ERRORS.EXISTS, to);
+
+        parent.children.splice(parent.children.indexOf(entry), 1);
+        target.children.push(entry);
+        this.changed('move', [from, toDirPath]);
+        return to;
+    }
+
+    // Deep copy into an existing directory - returns the copy's path
+    copy(path, toDir) {
+        const entry = this.resolve(path);
+        if (!canRead(entry)) throw new VFSError(VFS_ERRORS.PERMISSION, path);
+        const from = this.normalize(path);
+        const toDirPath = this.normalize(toDir);
+        if (toDirPath === from || toDirPath.startsWith(`${from}/`)) {
+            throw new VFSError(VFS_ERRORS.INVALID, from, 'cannot copy a directory into itself');
+        }
+        const target = this.resolveDir(toDir);
+        this.checkWritable(target, toDir);
+
+        const to = joinPath(toDirPath, entry.name);
+        if (target.children.some(child => child.name === entry.name)) throw new VFSError(VFS_ERRORS.EXISTS, to);
+        target.children.push(cloneEntry(entry));
+        this.changed('copy', [from, toDirPath]);
+        return to;
+    }
+
+    delete(path) {
+        const { parent, entry } = this.resolveParent(path, true);
+        this.checkWritable(parent, dirname(path));
+        parent.children.splice(parent.children.indexOf(entry), 1);
+        this.changed('delete', [this.normalize(path)]);
+    }
+
+    // Same directory, new name - returns the new path
+    rename(path, newName) {
+        const { parent, entry } = this.resolveParent(path, true);
+        if (!isValidName(newName)) throw new VFSError(VFS_ERRORS.INVALID, path, `bad name '${newName}'`);
+        this.checkWritable(parent, dirname(path));
+
+        const to = joinPath(dirname(this.normalize(path)), newName);
+        if (parent.children.some(child => child !== entry && child.name === newName)) {
+            throw new VFSError(VFS_ERRORS.EXISTS, to);
+        }
+        if (entry.name === newName) return to;
+        const from = this.normalize(path);
+        entry.name = newName;
+        this.changed('rename', [from, newName]);
+        return to;
+    }
+
+    normalize(path) {
+        return `/${splitPath(path).join('/')}`;
+    }
+
+    describe(entry, path) {
+        return {
+            name: entry.name,
+            type: entry.type,
+            path,
+            permissions: entry.permissions,
+            size: entry.size,
+            childCount: entry.type === 'dir' ? entry.children.length : 0
+        };
+    }
+
+    // Walks from the root - every directory on the way has to be enterable
+    resolve(path) {
+        let entry = this.root;
+        let walked = '/';
+        for (const part of splitPath(path)) {
+            if (entry.type !== 'dir') throw new VFSError(VFS_ERRORS.NOT_DIR, walked);
+            if (!canEnter(entry)) throw new VFSError(VFS_ERRORS.PERMISSION, walked);
+            walked = joinPath(walked, part);
+            entry = entry.children.find(child => child.name === part);
+            if (!entry) throw new VFSError(VFS_ERRORS.NOT_FOUND, walked);
+        }
+        return entry;
+    }
+
+    resolveDir(path) {
+        const entry = this.resolve(path);
+        if (entry.type !== 'dir') throw new VFSError(VFS_ERRORS.NOT_DIR, path);
+        return entry;
+    }
+
+    // Parent directory and last name of path; mustExist also looks the entry up
+    resolveParent(path, mustExist = false) {
+        const name = basename(path);
+        if (splitPath(path).length === 0) throw new VFSError(VFS_ERRORS.INVALID, '/', 'not allowed on the root');
+        if (!isValidName(name)) throw new VFSError(VFS_ERRORS.INVALID, path, `bad name '${name}'`);
+
+        const parent = this.resolveDir(dirname(path));
+        const entry = parent.children.find(child => child.name === name) || null;
+        if (mustExist && !entry) throw new VFSError(VFS_ERRORS.NOT_FOUND, path);
+        return { parent, name, entry };
+    }
+
+    checkWritable(dir, path) {
+        if (!canWrite(dir) || !canEnter(dir)) throw new VFSError(VFS_ERRORS.PERMISSION, path);
+    }
+}